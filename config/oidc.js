@@ -0,0 +1,38 @@
+// OpenID Connect provider settings (OIDC login is disabled unless issuer and client are set)
+
+// "group:role" pairs, e.g. "pms-admins:admin,pms-staff:user"; earlier pairs win
+const parseRoleMapping = (value) => {
+  return (value || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separatorIndex = pair.lastIndexOf(':');
+      return {
+        claimValue: pair.substring(0, separatorIndex).trim(),
+        role: pair.substring(separatorIndex + 1).trim().toLowerCase()
+      };
+    })
+    .filter(({ claimValue, role }) => claimValue && role);
+};
+
+const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+const oidcConfig = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  // Optional: public clients rely on PKCE alone
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: process.env.OIDC_REDIRECT_URI || `${baseUrl}/api/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+  roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+  defaultRole: (process.env.OIDC_DEFAULT_ROLE || 'user').toLowerCase()
+};
+
+const isOidcEnabled = () => Boolean(oidcConfig.issuer && oidcConfig.clientId);
+
+module.exports = {
+  oidcConfig,
+  isOidcEnabled
+};
@@ -16,7 +16,7 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
 
 ### Authentication & Authorization
 - ✅ User registration and login with JWT authentication
-- ✅ Role-based access control (Admin/User)
+- ✅ Permission-based access control with manageable roles
 - ✅ User profile management
 
 ### Post Management
@@ -119,6 +119,12 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter your JWT token in the format: Bearer <token>'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Personal API key created at /api/users/profile/api-keys. Each route requires a matching scope.'
         }
       },
       schemas: {        User: {
@@ -136,14 +142,21 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
             },
             role: {
               type: 'string',
-              enum: ['admin', 'user'],
-              description: 'User role'
+              description: 'Role name (built-in: admin, user; more can be created at /api/roles)'
             },
             email: {
               type: 'string',
               description: 'User email address',
               nullable: true
             },
+            emailVerified: {
+              type: 'boolean',
+              description: 'Whether the email address has been verified'
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
+              description: 'Whether TOTP two-factor authentication is enabled'
+            },
             fullName: {
               type: 'string',
               description: 'User full name',
@@ -177,23 +190,83 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
               description: 'Post title',
               maxLength: 200
             },
+            slug: {
+              type: 'string',
+              description: 'Unique URL slug generated from the title (accents removed)',
+              example: 'lap-trinh-node-js-co-ban'
+            },
+            previousSlugs: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Slugs from earlier titles; they redirect to the current slug'
+            },
             content: {
               type: 'string',
-              description: 'Post content'
+              description: 'Post content as written (plain text or markdown)'
+            },
+            contentFormat: {
+              type: 'string',
+              enum: ['plain', 'markdown'],
+              description: 'How content is rendered'
+            },
+            contentHtml: {
+              type: 'string',
+              description: 'Content rendered to HTML and sanitized with a strict allowlist; safe to embed'
+            },
+            excerptHtml: {
+              type: 'string',
+              description: 'Text preview of the content (about 200 characters), HTML-escaped; safe to embed'
+            },
+            readingTimeMinutes: {
+              type: 'integer',
+              description: 'Estimated reading time at 200 words per minute'
             },
             author: {
               $ref: '#/components/schemas/User'
             },
             category: {
               type: 'string',
-              enum: ['tech', 'lifestyle', 'business', 'education', 'health', 'entertainment', 'other'],
-              description: 'Post category'
+              description: 'Category slug (see GET /api/categories)'
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Lowercase tags, e.g. ["nodejs", "mongodb"]'
             },
             thumbnail: {
               type: 'string',
               description: 'Thumbnail image URL',
               nullable: true
             },
+            status: {
+              type: 'string',
+              enum: ['draft', 'scheduled', 'published', 'archived'],
+              description: 'Only published posts are public'
+            },
+            publishAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the post goes (or went) public',
+              nullable: true
+            },
+            publishedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the post first went public',
+              nullable: true
+            },
+            likeCount: {
+              type: 'integer',
+              description: 'Number of likes'
+            },
+            likedByMe: {
+              type: 'boolean',
+              description: 'Whether the current user liked the post (false for anonymous requests)'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -219,16 +292,39 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
               type: 'string',
               description: 'Post content'
             },
+            contentFormat: {
+              type: 'string',
+              enum: ['plain', 'markdown'],
+              default: 'plain',
+              description: 'markdown content is rendered with raw HTML disabled'
+            },
             category: {
               type: 'string',
-              enum: ['tech', 'lifestyle', 'business', 'education', 'health', 'entertainment', 'other'],
-              description: 'Post category'
+              description: 'Category slug; must be an existing, non-archived category'
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string',
+                maxLength: 30
+              },
+              description: 'Tags (or one comma-separated string); lowercased, trimmed and de-duplicated, at most POST_MAX_TAGS (default 10)'
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'scheduled', 'published'],
+              description: 'Defaults to published, or scheduled when publishAt is in the future'
+            },
+            publishAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Publish time for scheduled posts'
             }
           }
         },
         RegisterInput: {
           type: 'object',
-          required: ['username', 'password'],
+          required: ['username', 'password', 'email'],
           properties: {
             username: {
               type: 'string',
@@ -238,8 +334,17 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
             },
             password: {
               type: 'string',
-              description: 'Password',
-              minLength: 6
+              description: 'Password; must satisfy the password policy (length, configured character classes, not containing the username, not a common/breached password)',
+              minLength: 8
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Email address (a verification link is sent to it)'
+            },
+            inviteCode: {
+              type: 'string',
+              description: 'Invite code; required when REGISTRATION_MODE is invite-only. The new account gets the invite role'
             }
           }
         },
@@ -257,6 +362,229 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
             }
           }
         },
+        RefreshTokenInput: {
+          type: 'object',
+          required: ['refreshToken'],
+          properties: {
+            refreshToken: {
+              type: 'string',
+              description: 'Refresh token returned by login or a previous refresh'
+            }
+          }
+        },
+        Role: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Role ID'
+            },
+            name: {
+              type: 'string',
+              description: 'Role name'
+            },
+            description: {
+              type: 'string',
+              nullable: true
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['post.create', 'post.update.own', 'post.delete.own', 'export.own']
+            },
+            isSystem: {
+              type: 'boolean',
+              description: 'Built-in roles cannot be deleted'
+            },
+            userCount: {
+              type: 'integer',
+              description: 'Number of users with this role'
+            }
+          }
+        },
+        RoleInput: {
+          type: 'object',
+          required: ['name', 'permissions'],
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Role name (letters, numbers, "-" or "_")'
+            },
+            description: {
+              type: 'string'
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['post.create', 'post.update.own', 'post.update.any', 'post.delete.own', 'post.delete.any', 'export.own', 'export.all', 'user.read', 'user.create', 'user.update', 'user.delete', 'user.password.reset', 'user.invite', 'user.status.write', 'user.unlock', 'user.role.write', 'comment.moderate', 'tag.manage', 'category.manage', 'role.manage']
+              }
+            }
+          }
+        },
+        Category: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Category ID'
+            },
+            slug: {
+              type: 'string',
+              description: 'Identifier stored on posts',
+              example: 'tech'
+            },
+            name: {
+              type: 'string',
+              description: 'Display name',
+              example: 'Tech'
+            },
+            description: {
+              type: 'string',
+              nullable: true
+            },
+            sortOrder: {
+              type: 'integer',
+              description: 'Lower numbers are listed first'
+            },
+            archived: {
+              type: 'boolean',
+              description: 'Archived categories keep their posts but cannot be chosen for new ones'
+            },
+            postCount: {
+              type: 'integer',
+              description: 'Number of published posts'
+            }
+          }
+        },
+        CategoryInput: {
+          type: 'object',
+          required: ['slug', 'name'],
+          properties: {
+            slug: {
+              type: 'string',
+              pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$',
+              maxLength: 50
+            },
+            name: {
+              type: 'string',
+              maxLength: 100
+            },
+            description: {
+              type: 'string',
+              maxLength: 500
+            },
+            sortOrder: {
+              type: 'integer',
+              default: 0
+            }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'API key ID'
+            },
+            name: {
+              type: 'string',
+              description: 'Key name'
+            },
+            prefix: {
+              type: 'string',
+              description: 'First characters of the key, for identification'
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['posts:read', 'posts:write', 'posts:export', 'profile:read', 'profile:write', 'users:read', 'users:write']
+              }
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Session ID'
+            },
+            userAgent: {
+              type: 'string',
+              nullable: true,
+              description: 'User agent of the device that logged in'
+            },
+            ip: {
+              type: 'string',
+              nullable: true,
+              description: 'Last IP address seen for the session'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            current: {
+              type: 'boolean',
+              description: 'Whether this is the session making the request'
+            }
+          }
+        },
+        TwoFactorSetupResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                secret: {
+                  type: 'string',
+                  description: 'Base32 TOTP secret for manual entry'
+                },
+                otpauthUrl: {
+                  type: 'string',
+                  description: 'otpauth:// provisioning URI to render as a QR code'
+                }
+              }
+            }
+          }
+        },
         ApiResponse: {
           type: 'object',
           properties: {
@@ -288,6 +616,22 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
             error: {
               type: 'string',
               description: 'Detailed error information'
+            },
+            errors: {
+              type: 'array',
+              description: 'Validation rules that failed (when applicable)',
+              items: {
+                type: 'object',
+                properties: {
+                  rule: {
+                    type: 'string',
+                    enum: ['minLength', 'maxLength', 'uppercase', 'lowercase', 'number', 'symbol', 'username', 'common']
+                  },
+                  message: {
+                    type: 'string'
+                  }
+                }
+              }
             }
           }
         },
@@ -330,6 +674,16 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
                     },
                     limit: {
                       type: 'integer'
+                    },
+                    nextCursor: {
+                      type: 'string',
+                      nullable: true,
+                      description: 'Cursor mode only (currentPage, totalPages and totals are omitted)'
+                    },
+                    prevCursor: {
+                      type: 'string',
+                      nullable: true,
+                      description: 'Cursor mode only'
                     }
                   }
                 }
@@ -347,10 +701,30 @@ A comprehensive Node.js Post Management System with Express, MongoDB, JWT Authen
         name: 'Users',
         description: 'User management endpoints'
       },
+      {
+        name: 'Roles',
+        description: 'Role and permission management endpoints'
+      },
+      {
+        name: 'Invites',
+        description: 'Registration invite management endpoints'
+      },
       {
         name: 'Posts',
         description: 'Post management endpoints'
       },
+      {
+        name: 'Comments',
+        description: 'Post comment and moderation endpoints'
+      },
+      {
+        name: 'Categories',
+        description: 'Post category endpoints'
+      },
+      {
+        name: 'Tags',
+        description: 'Post tag listing and management endpoints'
+      },
       {
         name: 'System',
         description: 'System health and information endpoints'
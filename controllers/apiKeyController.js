@@ -0,0 +1,135 @@
+const ApiKey = require('../models/ApiKey');
+const { createApiKey: generateApiKey } = require('../services/apiKeyService');
+
+// Create a personal API key
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    // Validation
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and at least one scope are required'
+      });
+    }
+
+    const invalidScopes = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(', ')}. Allowed scopes: ${ApiKey.SCOPES.join(', ')}`
+      });
+    }
+
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a valid date in the future'
+        });
+      }
+    }
+
+    const { apiKey, key } = await generateApiKey(req.user._id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiryDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy it now; it will not be shown again.',
+      data: {
+        id: apiKey._id,
+        name: apiKey.name,
+        key,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        createdAt: apiKey.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+// List current user's API keys
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: apiKeys.map(apiKey => ({
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        revokedAt: apiKey.revokedAt,
+        createdAt: apiKey.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving API keys',
+      error: error.message
+    });
+  }
+};
+
+// Revoke one of the current user's API keys
+const revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
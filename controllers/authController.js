@@ -1,17 +1,98 @@
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('../services/tokenService');
+const {
+  startEmailVerification,
+  confirmEmailVerification
+} = require('../services/emailVerificationService');
+const {
+  hashPassword,
+  comparePassword,
+  validatePassword
+} = require('../services/passwordService');
+const {
+  startPasswordReset,
+  findPasswordResetUser,
+  completePasswordReset
+} = require('../services/passwordResetService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../services/loginAttemptService');
+const {
+  CHALLENGE_EXPIRES_IN,
+  isTwoFactorRequired,
+  generateChallengeToken
+} = require('../services/twoFactorService');
+const { cancelAccountDeletion } = require('../services/accountDeletionService');
+const {
+  REGISTRATION_MODE,
+  checkInvite,
+  consumeInvite,
+  releaseInvite
+} = require('../services/inviteService');
+
+// Respond with 429 and a Retry-After header
+const sendTooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+    retryAfter
+  });
+};
 
 // Register new user
 const register = async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, email, inviteCode } = req.body;
+
+    if (REGISTRATION_MODE === 'closed') {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is closed'
+      });
+    }
 
     // Validation
-    if (!username || !password) {
+    if (!username || !password || !email) {
       return res.status(400).json({
         success: false,
-        message: 'Username and password are required'
+        message: 'Username, password and email are required'
+      });
+    }
+
+    if (REGISTRATION_MODE === 'invite-only' && !inviteCode) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration requires an invite code'
+      });
+    }
+
+    // An invite is optional in open mode but still decides the role when given
+    let invite = null;
+    if (inviteCode) {
+      const inviteCheck = await checkInvite(inviteCode, email);
+      if (!inviteCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          message: inviteCheck.message
+        });
+      }
+      invite = inviteCheck.invite;
+    }
+
+    // Check password rules
+    const passwordCheck = validatePassword(password, { username });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet requirements',
+        errors: passwordCheck.errors
       });
     }
 
@@ -24,29 +105,71 @@ const register = async (req, res) => {
       });
     }
 
+    // Check if email is already in use
+    const existingEmail = await User.findOne({ email: email.trim().toLowerCase() });
+    if (existingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already in use'
+      });
+    }
+
     // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = await hashPassword(password);
+
+    // Claim the invite slot last so failed checks above don't use it up
+    if (invite && !(await consumeInvite(invite._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite code is no longer valid'
+      });
+    }
 
     // Create new user
     const newUser = new User({
       username,
-      password: hashedPassword
+      email,
+      password: hashedPassword,
+      ...(invite && { role: invite.role })
     });
 
-    await newUser.save();
+    try {
+      await newUser.save();
+    } catch (error) {
+      if (invite) {
+        await releaseInvite(invite._id);
+      }
+      throw error;
+    }
+
+    if (invite) {
+      console.log(`✉️ User ${newUser.username} registered with invite ${invite.prefix}… (${invite.role})`);
+    }
+
+    // Send confirmation link to the new address
+    await startEmailVerification(newUser);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       data: {
         id: newUser._id,
         username: newUser.username,
+        email: newUser.email,
+        emailVerified: false,
+        role: newUser.role,
         createdAt: newUser.createdAt
       }
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
     console.error('Register error:', error);
     res.status(500).json({
       success: false,
@@ -69,39 +192,69 @@ const login = async (req, res) => {
       });
     }
 
-    // Find user
+    const ip = req.ip || req.connection.remoteAddress;
+
+    // Enforce lockout and progressive delay before touching the password
+    const attemptCheck = await checkLoginAllowed(username, ip);
+    if (!attemptCheck.allowed) {
+      return sendTooManyAttempts(res, attemptCheck.retryAfter);
+    }
+
+    // Find user and check password
     const user = await User.findOne({ username });
-    if (!user) {
+    const isPasswordValid = user ? await comparePassword(password, user.password) : false;
+    if (!isPasswordValid) {
+      const failure = await recordFailedLogin(username, ip);
+      if (failure.locked) {
+        return sendTooManyAttempts(res, failure.retryAfter);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid username or password'
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    await clearFailedLogins(username);
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid username or password'
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Second factor: hand out a challenge instead of tokens
+    const setupRequired = !user.twoFactorEnabled && isTwoFactorRequired(user);
+    if (user.twoFactorEnabled || setupRequired) {
+      return res.status(200).json({
+        success: true,
+        message: setupRequired
+          ? 'Two-factor authentication setup required'
+          : 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          setupRequired,
+          challengeToken: generateChallengeToken(user, setupRequired),
+          expiresIn: CHALLENGE_EXPIRES_IN
+        }
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        username: user.username 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const deletionCancelled = await cancelAccountDeletion(user);
+
+    // Generate short-lived access token and rotating refresh token
+    const { accessToken, refreshToken, expiresIn } = await issueTokenPair(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        ...(deletionCancelled && { deletionCancelled }),
         user: {
           id: user._id,
           username: user.username
@@ -119,7 +272,216 @@ const login = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new token pair
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    // Validation
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(token, req);
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+      error: error.message
+    });
+  }
+};
+
+// Logout user (revokes the refresh token family)
+const logout = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    // Validation
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    await revokeRefreshToken(token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: error.message
+    });
+  }
+};
+
+// Verify email address from the emailed link
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    // Validation
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await confirmEmailVerification(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification',
+      error: error.message
+    });
+  }
+};
+
+// Request a password reset email
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Validation
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({
+      email: email.trim().toLowerCase(),
+      isActive: true
+    });
+
+    if (user) {
+      await startPasswordReset(user);
+    }
+
+    // Same response either way so the endpoint can't be used to discover accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request',
+      error: error.message
+    });
+  }
+};
+
+// Reset password using the emailed token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Validation
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    const resetUser = await findPasswordResetUser(token);
+    if (!resetUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const passwordCheck = validatePassword(password, { username: resetUser.username });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet requirements',
+        errors: passwordCheck.errors
+      });
+    }
+
+    const user = await completePasswordReset(token, password);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
-  login
+  login,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logout
 };
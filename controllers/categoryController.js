@@ -0,0 +1,252 @@
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { hasPermission } = require('../services/permissionService');
+const { hasScope } = require('../middleware/apiScope');
+const {
+  getCategories: getCachedCategories,
+  invalidateCategoryCache,
+  renameCategoryOnPosts
+} = require('../services/categoryService');
+
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map(err => err.message).join(', ')
+  });
+};
+
+// Another category currently using the slug, if any
+const findSlugOwner = (slug, excludeId = null) => {
+  return Category.findOne({ slug, ...(excludeId && { _id: { $ne: excludeId } }) });
+};
+
+// A retired slug taken over by another category no longer redirects to its old owner
+const releasePreviousSlug = async (slug) => {
+  await Category.updateMany({ previousSlugs: slug }, { $pull: { previousSlugs: slug } });
+};
+
+// List categories with their number of published posts (public; archived ones need category.manage)
+const getCategories = async (req, res) => {
+  try {
+    const canSeeArchived = req.user && hasScope(req, 'posts:read') && await hasPermission(req.user, 'category.manage');
+    const includeArchived = req.query.includeArchived === 'true' && canSeeArchived;
+
+    const [categories, postCounts] = await Promise.all([
+      getCachedCategories(),
+      Post.aggregate([
+        { $match: { status: 'published' } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByCategory = {};
+    postCounts.forEach(({ _id, count }) => {
+      countByCategory[_id] = count;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Categories retrieved successfully',
+      data: {
+        categories: categories
+          .filter(category => includeArchived || !category.archived)
+          .map(category => ({
+            id: category._id,
+            slug: category.slug,
+            name: category.name,
+            description: category.description,
+            sortOrder: category.sortOrder,
+            archived: category.archived,
+            postCount: countByCategory[category.slug] || 0
+          }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving categories',
+      error: error.message
+    });
+  }
+};
+
+// Create a category (requires category.manage)
+const createCategory = async (req, res) => {
+  try {
+    const { slug, name, description, sortOrder } = req.body;
+
+    // Validation
+    if (!slug || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category slug and name are required'
+      });
+    }
+
+    const normalizedSlug = String(slug).trim().toLowerCase();
+    if (await findSlugOwner(normalizedSlug)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category already exists'
+      });
+    }
+
+    const category = new Category({
+      slug: normalizedSlug,
+      name,
+      description,
+      ...(sortOrder !== undefined && { sortOrder })
+    });
+    await category.validate();
+
+    await releasePreviousSlug(normalizedSlug);
+    await category.save();
+    invalidateCategoryCache();
+
+    console.log(`🗂️ Category ${category.slug} created by admin: ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating category',
+      error: error.message
+    });
+  }
+};
+
+// Update a category; a new slug is applied to every post in it (requires category.manage)
+const updateCategory = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { slug: newSlug, name, description, sortOrder, archived } = req.body;
+
+    const category = await Category.findOne({ slug });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const oldSlug = category.slug;
+    const normalizedSlug = newSlug !== undefined ? String(newSlug).trim().toLowerCase() : oldSlug;
+    const renamed = normalizedSlug !== oldSlug;
+
+    if (renamed && await findSlugOwner(normalizedSlug, category._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category '${normalizedSlug}' already exists`
+      });
+    }
+
+    if (renamed) {
+      category.slug = normalizedSlug;
+      category.previousSlugs = [...new Set([...category.previousSlugs, oldSlug])]
+        .filter(previousSlug => previousSlug !== normalizedSlug);
+    }
+    if (name !== undefined) {
+      category.name = name;
+    }
+    if (description !== undefined) {
+      category.description = description;
+    }
+    if (sortOrder !== undefined) {
+      category.sortOrder = sortOrder;
+    }
+    if (archived !== undefined) {
+      category.archived = archived === true || archived === 'true';
+    }
+    await category.validate();
+
+    let postsUpdated = 0;
+    if (renamed) {
+      await releasePreviousSlug(normalizedSlug);
+      await category.save();
+      postsUpdated = await renameCategoryOnPosts(oldSlug, normalizedSlug);
+      console.log(`🗂️ Category ${oldSlug} renamed to ${normalizedSlug} (${postsUpdated} post(s)) by admin: ${req.user.username}`);
+    } else {
+      await category.save();
+    }
+    invalidateCategoryCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: {
+        category,
+        ...(renamed && { postsUpdated })
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating category',
+      error: error.message
+    });
+  }
+};
+
+// Delete a category no post uses (requires category.manage)
+const deleteCategory = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const category = await Category.findOne({ slug });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const postsInCategory = await Post.countDocuments({ category: category.slug });
+    if (postsInCategory > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category is still used by ${postsInCategory} post(s); archive it instead`
+      });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    invalidateCategoryCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting category',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const postEmitter = require('../events/postEvents');
+const { hasPermission } = require('../services/permissionService');
+const { hasScope } = require('../middleware/apiScope');
+const { canViewPost } = require('../services/postPublishService');
+const {
+  COMMENT_MAX_DEPTH,
+  canModerateComments,
+  buildCommentTree,
+  removeComment
+} = require('../services/commentService');
+
+// Load the post from the URL if the user may see it; sends 404 otherwise
+const findVisiblePost = async (req, res, viewer) => {
+  const post = await Post.findById(req.params.id).populate('author', 'username');
+
+  if (!post || !(await canViewPost(viewer, post))) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// Load a comment that belongs to the post; sends 404 otherwise
+const findPostComment = async (req, res, post) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, post: post._id, deletedAt: null });
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+const buildCommentEvent = (comment, post, user) => ({
+  _id: comment._id,
+  content: comment.content,
+  parent: comment.parent,
+  createdAt: comment.createdAt,
+  author: { _id: user._id, username: user.username },
+  post: { _id: post._id, title: post.title, author: post.author }
+});
+
+// List a post's comment threads, oldest first; pagination applies to top-level comments
+const getComments = async (req, res) => {
+  try {
+    const viewer = req.user && hasScope(req, 'posts:read') ? req.user : null;
+    const post = await findVisiblePost(req, res, viewer);
+    if (!post) {
+      return;
+    }
+
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [roots, totalComments] = await Promise.all([
+      Comment.find({ post: post._id, parent: null })
+        .populate('author', 'username')
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Comment.countDocuments({ post: post._id, parent: null })
+    ]);
+
+    const replies = roots.length > 0
+      ? await Comment.find({ root: { $in: roots.map(root => root._id) }, parent: { $ne: null } })
+        .populate('author', 'username')
+        .sort({ createdAt: 1 })
+        .lean()
+      : [];
+
+    const canModerate = await canModerateComments(viewer, post);
+    const totalPages = Math.ceil(totalComments / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comments retrieved successfully',
+      data: {
+        comments: buildCommentTree(roots, replies, viewer, canModerate),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalComments,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving comments',
+      error: error.message
+    });
+  }
+};
+
+// Comment on a published post, or reply to a comment with parentId
+const createComment = async (req, res) => {
+  try {
+    const { content, parentId } = req.body;
+
+    // Validation
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content is required'
+      });
+    }
+
+    const post = await findVisiblePost(req, res, req.user);
+    if (!post) {
+      return;
+    }
+
+    if (post.status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Comments are only allowed on published posts'
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = mongoose.isValidObjectId(parentId)
+        ? await Comment.findOne({ _id: parentId, post: post._id })
+        : null;
+
+      if (!parent || parent.deletedAt || parent.hiddenAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'The comment you are replying to does not exist or is no longer available'
+        });
+      }
+      if (parent.depth + 1 > COMMENT_MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies can be nested at most ${COMMENT_MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const comment = new Comment({
+      post: post._id,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      content
+    });
+    comment.root = parent ? parent.root : comment._id;
+
+    await comment.save();
+    await comment.populate('author', 'username');
+
+    postEmitter.emit('comment:created', buildCommentEvent(comment, post, req.user));
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment created successfully',
+      data: comment
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating comment',
+      error: error.message
+    });
+  }
+};
+
+// Edit your own comment
+const updateComment = async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    // Validation
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content is required'
+      });
+    }
+
+    const post = await findVisiblePost(req, res, req.user);
+    if (!post) {
+      return;
+    }
+
+    const comment = await findPostComment(req, res, post);
+    if (!comment) {
+      return;
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    comment.content = content;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', 'username');
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+};
+
+// Delete a comment (its author, or a user with comment.moderate)
+const deleteComment = async (req, res) => {
+  try {
+    const post = await findVisiblePost(req, res, req.user);
+    if (!post) {
+      return;
+    }
+
+    const comment = await findPostComment(req, res, post);
+    if (!comment) {
+      return;
+    }
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    if (!isAuthor && !(await hasPermission(req.user, 'comment.moderate'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    await removeComment(comment);
+
+    postEmitter.emit('comment:deleted', {
+      _id: comment._id,
+      post: { _id: post._id, title: post.title },
+      deletedBy: { _id: req.user._id, username: req.user.username }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+};
+
+// Hide or unhide a comment (post author, or a user with comment.moderate)
+const setCommentVisibility = async (req, res) => {
+  try {
+    const { hidden } = req.body;
+
+    // Validation
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'hidden must be a boolean value'
+      });
+    }
+
+    const post = await findVisiblePost(req, res, req.user);
+    if (!post) {
+      return;
+    }
+
+    if (!(await canModerateComments(req.user, post))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the post author or a moderator can hide comments'
+      });
+    }
+
+    const comment = await findPostComment(req, res, post);
+    if (!comment) {
+      return;
+    }
+
+    comment.hiddenAt = hidden ? new Date() : null;
+    comment.hiddenBy = hidden ? req.user._id : null;
+    await comment.save();
+
+    postEmitter.emit('comment:hidden', {
+      _id: comment._id,
+      hidden,
+      post: { _id: post._id, title: post.title },
+      moderator: { _id: req.user._id, username: req.user.username }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Comment ${hidden ? 'hidden' : 'unhidden'} successfully`,
+      data: {
+        id: comment._id,
+        hidden,
+        hiddenAt: comment.hiddenAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Set comment visibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment visibility',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  setCommentVisibility
+};
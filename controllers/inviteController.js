@@ -0,0 +1,174 @@
+const Invite = require('../models/Invite');
+const Role = require('../models/Role');
+const { REGISTRATION_MODE, createInvite: generateInvite } = require('../services/inviteService');
+const { DEFAULT_USER_ROLE, canAssignRole, roleOutranks } = require('../services/permissionService');
+
+// Create an invite code, optionally emailed to one address (requires user.invite)
+const createInvite = async (req, res) => {
+  try {
+    const { role = DEFAULT_USER_ROLE, email, maxUses = 1, expiresAt } = req.body;
+
+    const roleName = String(role).trim().toLowerCase();
+    if (!(await Role.exists({ name: roleName }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${roleName}' does not exist`
+      });
+    }
+
+    // Registering with the invite grants its role, so the same rule as creating a user applies
+    if (!(await canAssignRole(req.user, roleName))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Assigning the '${roleName}' role requires permission: user.role.write`
+      });
+    }
+    if (await roleOutranks(roleName, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. The '${roleName}' role has permissions you lack`
+      });
+    }
+
+    const usageLimit = parseInt(maxUses);
+    if (!Number.isInteger(usageLimit) || usageLimit < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxUses must be a positive integer'
+      });
+    }
+
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a valid date in the future'
+        });
+      }
+    }
+
+    const { invite, code, inviteUrl } = await generateInvite({
+      role: roleName,
+      email,
+      maxUses: usageLimit,
+      expiresAt: expiryDate,
+      createdBy: req.user
+    });
+
+    console.log(`✉️ Invite ${invite.prefix}… (${roleName}) created by admin: ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: invite.email
+        ? 'Invite created and emailed. Copy the code now; it will not be shown again.'
+        : 'Invite created successfully. Copy the code now; it will not be shown again.',
+      data: {
+        id: invite._id,
+        code,
+        inviteUrl,
+        prefix: invite.prefix,
+        role: invite.role,
+        email: invite.email,
+        maxUses: invite.maxUses,
+        expiresAt: invite.expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invite',
+      error: error.message
+    });
+  }
+};
+
+// List invites with their usage (requires user.invite)
+const getInvites = async (req, res) => {
+  try {
+    const invites = await Invite.find()
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invites retrieved successfully',
+      data: {
+        registrationMode: REGISTRATION_MODE,
+        invites: invites.map(invite => ({
+          id: invite._id,
+          prefix: invite.prefix,
+          role: invite.role,
+          email: invite.email,
+          uses: invite.uses,
+          maxUses: invite.maxUses,
+          expiresAt: invite.expiresAt,
+          revokedAt: invite.revokedAt,
+          usable: !invite.revokedAt && invite.expiresAt > now && invite.uses < invite.maxUses,
+          createdBy: invite.createdBy,
+          createdAt: invite.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving invites',
+      error: error.message
+    });
+  }
+};
+
+// Revoke an invite so it can no longer be used (requires user.invite)
+const revokeInvite = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invite',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createInvite,
+  getInvites,
+  revokeInvite
+};
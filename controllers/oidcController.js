@@ -0,0 +1,164 @@
+const { isOidcEnabled } = require('../config/oidc');
+const { issueTokenPair } = require('../services/tokenService');
+const { cancelAccountDeletion } = require('../services/accountDeletionService');
+const {
+  CHALLENGE_EXPIRES_IN,
+  isTwoFactorRequired,
+  generateChallengeToken
+} = require('../services/twoFactorService');
+const {
+  createAuthorizationRequest,
+  consumeAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken,
+  findOrProvisionUser
+} = require('../services/oidcService');
+
+const sendOidcDisabled = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'OIDC login is not configured'
+  });
+};
+
+// Start OIDC login: redirect the browser to the identity provider
+const oidcLogin = async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return sendOidcDisabled(res);
+    }
+
+    const authorizationUrl = await createAuthorizationRequest();
+    res.redirect(302, authorizationUrl);
+
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during OIDC login',
+      error: error.message
+    });
+  }
+};
+
+// Provider redirect target: exchange the code and sign the user in
+const oidcCallback = async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return sendOidcDisabled(res);
+    }
+
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+    if (providerError) {
+      return res.status(400).json({
+        success: false,
+        message: `Identity provider returned an error: ${providerErrorDescription || providerError}`
+      });
+    }
+
+    // Validation
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authorization code and state are required'
+      });
+    }
+
+    const pending = await consumeAuthorizationRequest(state);
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login state'
+      });
+    }
+
+    const tokenResponse = await exchangeCode(code, pending.codeVerifier);
+    if (!tokenResponse) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization code exchange failed'
+      });
+    }
+
+    const claims = await verifyIdToken(tokenResponse.id_token, pending.nonce);
+
+    const result = await findOrProvisionUser(claims);
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { user } = result;
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Accounts are linked by email, so the user's own second factor still applies:
+    // same challenge as password login, completed through POST /api/login/2fa
+    const setupRequired = !user.twoFactorEnabled && isTwoFactorRequired(user);
+    if (user.twoFactorEnabled || setupRequired) {
+      return res.status(200).json({
+        success: true,
+        message: setupRequired
+          ? 'Two-factor authentication setup required'
+          : 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          setupRequired,
+          challengeToken: generateChallengeToken(user, setupRequired),
+          expiresIn: CHALLENGE_EXPIRES_IN,
+          created: result.created,
+          linked: result.linked
+        }
+      });
+    }
+
+    const deletionCancelled = await cancelAccountDeletion(user);
+
+    const { accessToken, refreshToken, expiresIn } = await issueTokenPair(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        created: result.created,
+        linked: result.linked,
+        ...(deletionCancelled && { deletionCancelled }),
+        user: {
+          id: user._id,
+          username: user.username,
+          role: user.role
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' || error.name === 'NotBeforeError') {
+      return res.status(401).json({
+        success: false,
+        message: `Invalid ID token: ${error.message}`
+      });
+    }
+
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during OIDC login',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  oidcLogin,
+  oidcCallback
+};
@@ -1,7 +1,30 @@
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
+const User = require('../models/User');
 const postEmitter = require('../events/postEvents');
+const { hasPermission, canManagePost } = require('../services/permissionService');
+const { hasScope } = require('../middleware/apiScope');
+const {
+  resolvePublishState,
+  canViewPost,
+  notifyPostPublished
+} = require('../services/postPublishService');
+const {
+  recordInitialRevision,
+  recordRevision,
+  deletePostRevisions
+} = require('../services/postRevisionService');
+const { deletePostComments } = require('../services/commentService');
+const { markLikedPosts, withLikeCounts, deletePostReactions } = require('../services/postReactionService');
+const { normalizeTags, buildTagFilter } = require('../services/tagService');
+const { resolveCategory, checkPostCategory } = require('../services/categoryService');
+const { generateUniqueSlug, getSlugUpdate, retryOnSlugConflict } = require('../services/postSlugService');
+const { htmlToText, renderPostContent } = require('../services/postContentService');
+const { SEARCH_QUERY_MAX_LENGTH, escapeRegex, parseSearchQuery, buildHighlight } = require('../services/postSearchService');
+const { decodeCursor, findCursorPage } = require('../services/paginationService');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 
 // Cache helper functions (assuming Redis client is available globally)
@@ -10,8 +33,37 @@ const setRedisClient = (client) => {
   redisClient = client;
 };
 
-const getCacheKey = (page, limit, sortBy, category, search) => {
-  return `posts:${page}:${limit}:${sortBy}:${category || 'all'}:${search || 'none'}`;
+const getCacheKey = (page, limit, sortBy, order, category, search, tagFilter) => {
+  const tagKey = tagFilter ? `${tagFilter.$all ? 'all' : 'any'}=${(tagFilter.$all || tagFilter.$in).join(',')}` : 'none';
+  return `posts:${page}:${limit}:${sortBy}:${order}:${category || 'all'}:${search || 'none'}:${tagKey}`;
+};
+
+// Lists sorted by popularity are cached briefly since likes don't invalidate them
+const POPULAR_LIST_CACHE_TTL_SECONDS = 30;
+
+// sortBy values supported in cursor mode, with the type of the field they sort on
+const CURSOR_SORT_TYPES = {
+  createdAt: 'date',
+  publishedAt: 'date',
+  title: 'string',
+  category: 'string',
+  popularity: 'number'
+};
+
+// Sort fields for cursor pagination; popularity ranks by likes, newest first among equals
+const getCursorSortFields = (sortBy, sortOrder) => {
+  if (sortBy === 'popularity') {
+    return [
+      { field: 'likeCount', order: sortOrder, type: 'number' },
+      { field: 'createdAt', order: -1, type: 'date' }
+    ];
+  }
+  return [{ field: sortBy, order: sortOrder, type: CURSOR_SORT_TYPES[sortBy] }];
+};
+
+// Signed-in user allowed to see unpublished posts; API keys need the posts:read scope
+const getViewer = (req) => {
+  return req.user && hasScope(req, 'posts:read') ? req.user : null;
 };
 
 // Get all posts with pagination, filtering, and sorting
@@ -23,35 +75,119 @@ const getAllPosts = async (req, res) => {
       sortBy = 'createdAt',
       order = 'desc',
       category,
-      search
+      search,
+      tags,
+      tagMatch = 'any',
+      status = 'published',
+      pagination = 'offset',
+      cursor
     } = req.query;
 
+    // Cursor mode is opt-in: pagination=cursor for the first page, then the returned cursors
+    const cursorMode = pagination === 'cursor' || cursor !== undefined;
     const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    const limitNum = cursorMode ? Math.min(Math.max(parseInt(limit) || 10, 1), 100) : parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
+    const sortOrder = order === 'desc' ? -1 : 1;
+
+    if (!['offset', 'cursor'].includes(pagination)) {
+      return res.status(400).json({
+        success: false,
+        message: 'pagination must be one of: offset, cursor'
+      });
+    }
+
+    let cursorSortFields = null;
+    let decodedCursor = null;
+    if (cursorMode) {
+      if (!CURSOR_SORT_TYPES[sortBy]) {
+        return res.status(400).json({
+          success: false,
+          message: `In cursor mode sortBy must be one of: ${Object.keys(CURSOR_SORT_TYPES).join(', ')}`
+        });
+      }
+      cursorSortFields = getCursorSortFields(sortBy, sortOrder);
+
+      if (cursor) {
+        decodedCursor = decodeCursor(cursor, cursorSortFields);
+        if (decodedCursor.error) {
+          return res.status(400).json({
+            success: false,
+            message: decodedCursor.error
+          });
+        }
+      }
+    }
+
+    if (!Post.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Post.STATUSES.join(', ')}`
+      });
+    }
+
+    if (!['any', 'all'].includes(tagMatch)) {
+      return res.status(400).json({
+        success: false,
+        message: 'tagMatch must be one of: any, all'
+      });
+    }
 
     // Build query
-    let query = {};
+    let query = { status };
+
+    // Unpublished lists are personal: drafts always, other statuses unless the user can edit any post
+    const viewer = getViewer(req);
+    if (status !== 'published') {
+      if (!viewer) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required to list unpublished posts'
+        });
+      }
+      if (status === 'draft' || !(await hasPermission(viewer, 'post.update.any'))) {
+        query.author = viewer._id;
+      }
+    }
+
+    // Old slugs of renamed categories still filter by the category
     if (category && category !== 'all') {
-      query.category = category;
+      const filterCategory = await resolveCategory(category);
+      if (!filterCategory) {
+        return res.status(400).json({
+          success: false,
+          message: `Category '${category}' does not exist`
+        });
+      }
+      query.category = filterCategory.slug;
+    }
+    // any: posts with at least one of the tags; all: posts with every tag
+    const tagFilter = tags ? buildTagFilter(tags, tagMatch) : null;
+    if (tagFilter) {
+      query.tags = tagFilter;
     }
     if (search) {
+      const searchPattern = escapeRegex(search);
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
+        { title: { $regex: searchPattern, $options: 'i' } },
+        { content: { $regex: searchPattern, $options: 'i' } }
       ];
     }
 
-    // Check cache first
-    const cacheKey = getCacheKey(page, limit, sortBy, category, search);
-    if (redisClient) {
+    // Only the public listing is cached
+    const pageKey = cursorMode ? `cursor-${cursor || 'first'}` : page;
+    const cacheKey = status === 'published' ? getCacheKey(pageKey, limitNum, sortBy, order, query.category, search, tagFilter) : null;
+    if (redisClient && cacheKey) {
       try {
         const cachedData = await redisClient.get(cacheKey);
         if (cachedData) {
+          const cachedResult = JSON.parse(cachedData);
+          // likedByMe is per user and like counts change too often to invalidate on, so both are added after the shared cache
+          cachedResult.data.posts = await markLikedPosts(await withLikeCounts(cachedResult.data.posts), viewer);
           return res.status(200).json({
             success: true,
             message: 'Posts retrieved from cache',
-            ...JSON.parse(cachedData)
+            ...cachedResult
           });
         }
       } catch (cacheError) {
@@ -59,27 +195,202 @@ const getAllPosts = async (req, res) => {
       }
     }
 
-    // Build sort object
-    const sortOrder = order === 'desc' ? -1 : 1;
-    const sortObj = {};
-    sortObj[sortBy] = sortOrder;
+    let posts;
+    let paginationData;
+    if (cursorMode) {
+      // No skip and no count: the cursor condition is served by the sort index
+      const cursorPage = await findCursorPage({
+        find: (cursorFilter, sort, pageLimit) => Post.find({ $and: [query, cursorFilter] })
+          .populate('author', 'username')
+          .sort(sort)
+          .limit(pageLimit)
+          .lean(),
+        sortFields: cursorSortFields,
+        cursor: decodedCursor,
+        limit: limitNum
+      });
+      posts = cursorPage.items;
+      paginationData = cursorPage.pagination;
+    } else {
+      // Build sort object; popularity ranks by likes, newest first among equals
+      const sortObj = sortBy === 'popularity'
+        ? { likeCount: sortOrder, createdAt: -1 }
+        : { [sortBy]: sortOrder };
+
+      // Execute queries
+      let totalPosts;
+      [posts, totalPosts] = await Promise.all([
+        Post.find(query)
+          .populate('author', 'username')
+          .sort(sortObj)
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        Post.countDocuments(query)
+      ]);
 
-    // Execute queries
+      const totalPages = Math.ceil(totalPosts / limitNum);
+      paginationData = {
+        currentPage: pageNum,
+        totalPages,
+        totalPosts,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+        limit: limitNum
+      };
+    }
+
+    const result = {
+      data: {
+        posts,
+        pagination: paginationData
+      }
+    };
+
+    // Cache the result; popularity order follows likes, which don't clear the cache, so it expires sooner
+    if (redisClient && cacheKey) {
+      try {
+        await redisClient.setEx(cacheKey, sortBy === 'popularity' ? POPULAR_LIST_CACHE_TTL_SECONDS : 300, JSON.stringify(result));
+      } catch (cacheError) {
+        console.error('Cache set error:', cacheError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Posts retrieved successfully',
+      data: {
+        ...result.data,
+        posts: await markLikedPosts(posts, viewer)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get all posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving posts',
+      error: error.message
+    });
+  }
+};
+
+// Full-text search over published posts using the title/content text index
+const searchPosts = async (req, res) => {
+  try {
+    const {
+      q,
+      page = 1,
+      limit = 10,
+      category,
+      author,
+      startDate,
+      endDate
+    } = req.query;
+
+    const searchQuery = typeof q === 'string' ? q.trim() : '';
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    // Validation
+    if (!searchQuery) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) is required'
+      });
+    }
+    if (searchQuery.length > SEARCH_QUERY_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query cannot exceed ${SEARCH_QUERY_MAX_LENGTH} characters`
+      });
+    }
+
+    // $text understands "exact phrases" and -excluded words itself
+    const query = { $text: { $search: searchQuery }, status: 'published' };
+
+    if (category && category !== 'all') {
+      const filterCategory = await resolveCategory(category);
+      if (!filterCategory) {
+        return res.status(400).json({
+          success: false,
+          message: `Category '${category}' does not exist`
+        });
+      }
+      query.category = filterCategory.slug;
+    }
+
+    // author may be a user ID or a username
+    if (author) {
+      if (mongoose.isValidObjectId(author)) {
+        query.author = author;
+      } else {
+        const authorUser = await User.findOne({ username: String(author).trim() }).select('_id').lean();
+        query.author = authorUser ? authorUser._id : null;
+      }
+    }
+
+    if (startDate || endDate) {
+      const from = startDate ? new Date(startDate) : null;
+      const to = endDate ? new Date(endDate) : null;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'startDate and endDate must be valid dates'
+        });
+      }
+      query.publishedAt = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+
+    const viewer = getViewer(req);
+
+    // Cleared together with the post lists, since every key starts with posts:
+    const cacheKey = `posts:search:${crypto.createHash('sha256')
+      .update(JSON.stringify([searchQuery, pageNum, limitNum, query.category, author, startDate, endDate]))
+      .digest('hex')}`;
+    if (redisClient) {
+      try {
+        const cachedData = await redisClient.get(cacheKey);
+        if (cachedData) {
+          const cachedResult = JSON.parse(cachedData);
+          cachedResult.data.posts = await markLikedPosts(await withLikeCounts(cachedResult.data.posts), viewer);
+          return res.status(200).json({
+            success: true,
+            message: 'Search results retrieved from cache',
+            ...cachedResult
+          });
+        }
+      } catch (cacheError) {
+        console.error('Cache get error:', cacheError);
+      }
+    }
+
+    // Most relevant first, newest among equally relevant posts
     const [posts, totalPosts] = await Promise.all([
-      Post.find(query)
+      Post.find(query, { score: { $meta: 'textScore' } })
         .populate('author', 'username')
-        .sort(sortObj)
-        .skip(skip)
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
         .limit(limitNum)
         .lean(),
       Post.countDocuments(query)
     ]);
 
+    const terms = parseSearchQuery(searchQuery);
+    const results = posts.map(post => ({
+      ...post,
+      highlight: buildHighlight(post.title, htmlToText(post.contentHtml || ''), terms)
+    }));
+
     const totalPages = Math.ceil(totalPosts / limitNum);
 
     const result = {
       data: {
-        posts,
+        query: searchQuery,
+        posts: results,
         pagination: {
           currentPage: pageNum,
           totalPages,
@@ -91,7 +402,6 @@ const getAllPosts = async (req, res) => {
       }
     };
 
-    // Cache the result
     if (redisClient) {
       try {
         await redisClient.setEx(cacheKey, 300, JSON.stringify(result)); // Cache for 5 minutes
@@ -102,70 +412,152 @@ const getAllPosts = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Posts retrieved successfully',
-      ...result
+      message: 'Search results retrieved successfully',
+      data: {
+        ...result.data,
+        posts: await markLikedPosts(results, viewer)
+      }
     });
 
   } catch (error) {
-    console.error('Get all posts error:', error);
+    console.error('Search posts error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error retrieving posts',
+      message: 'Error searching posts',
       error: error.message
     });
   }
 };
 
+// Load a post the viewer may see, from cache when possible; returns { post, fromCache } or null
+const findViewablePost = async (id, viewer) => {
+  // Check cache first
+  const cacheKey = `post:${id}`;
+  if (redisClient) {
+    try {
+      const cachedPost = await redisClient.get(cacheKey);
+      if (cachedPost) {
+        return { post: JSON.parse(cachedPost), fromCache: true };
+      }
+    } catch (cacheError) {
+      console.error('Cache get error:', cacheError);
+    }
+  }
+
+  const post = await Post.findById(id)
+    .populate('author', 'username')
+    .lean();
+
+  // Unpublished posts look missing to anyone who may not see them
+  if (!post || !(await canViewPost(viewer, post))) {
+    return null;
+  }
+
+  // Only published posts are cached, so the cache never serves a draft
+  if (redisClient && post.status === 'published') {
+    try {
+      await redisClient.setEx(cacheKey, 600, JSON.stringify(post)); // Cache for 10 minutes
+    } catch (cacheError) {
+      console.error('Cache set error:', cacheError);
+    }
+  }
+
+  return { post, fromCache: false };
+};
+
+const sendPost = async (res, { post, fromCache }, viewer) => {
+  const [postWithLike] = await markLikedPosts([post], viewer);
+
+  res.status(200).json({
+    success: true,
+    message: fromCache ? 'Post retrieved from cache' : 'Post retrieved successfully',
+    data: postWithLike
+  });
+};
+
 // Get single post by ID
 const getPostById = async (req, res) => {
   try {
-    const { id } = req.params;
+    const viewer = getViewer(req);
+
+    const result = await findViewablePost(req.params.id, viewer);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    await sendPost(res, result, viewer);
+
+  } catch (error) {
+    console.error('Get post by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving post',
+      error: error.message
+    });
+  }
+};
 
-    // Check cache first
-    const cacheKey = `post:${id}`;
+// Get single post by slug; slugs from earlier titles redirect to the current one
+const getPostBySlug = async (req, res) => {
+  try {
+    const slug = String(req.params.slug).normalize('NFC').toLowerCase();
+    const viewer = getViewer(req);
+
+    // slug -> post ID is cached separately so the post itself shares the post:<id> cache
+    const slugCacheKey = `postslug:${slug}`;
+    let result = null;
     if (redisClient) {
       try {
-        const cachedPost = await redisClient.get(cacheKey);
-        if (cachedPost) {
-          return res.status(200).json({
-            success: true,
-            message: 'Post retrieved from cache',
-            data: JSON.parse(cachedPost)
-          });
+        const cachedId = await redisClient.get(slugCacheKey);
+        if (cachedId) {
+          result = await findViewablePost(cachedId, viewer);
         }
       } catch (cacheError) {
         console.error('Cache get error:', cacheError);
       }
     }
 
-    const post = await Post.findById(id)
-      .populate('author', 'username')
-      .lean();
+    // The cached ID may belong to a deleted post whose slug was taken again
+    if (!result || (result.post.slug !== slug && !(result.post.previousSlugs || []).includes(slug))) {
+      const match = await Post.findOne({ $or: [{ slug }, { previousSlugs: slug }] }).select('_id').lean();
+      result = match ? await findViewablePost(match._id, viewer) : null;
+
+      if (redisClient && result) {
+        try {
+          await redisClient.setEx(slugCacheKey, 3600, result.post._id.toString()); // Cache for 1 hour
+        } catch (cacheError) {
+          console.error('Cache set error:', cacheError);
+        }
+      }
+    }
 
-    if (!post) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    // Cache the result
-    if (redisClient) {
-      try {
-        await redisClient.setEx(cacheKey, 600, JSON.stringify(post)); // Cache for 10 minutes
-      } catch (cacheError) {
-        console.error('Cache set error:', cacheError);
-      }
+    if (result.post.slug !== slug) {
+      return res
+        .status(301)
+        .location(`/api/posts/slug/${encodeURIComponent(result.post.slug)}`)
+        .json({
+          success: true,
+          message: 'Post has moved to a new slug',
+          data: {
+            slug: result.post.slug
+          }
+        });
     }
 
-    res.status(200).json({
-      success: true,
-      message: 'Post retrieved successfully',
-      data: post
-    });
+    await sendPost(res, result, viewer);
 
   } catch (error) {
-    console.error('Get post by ID error:', error);
+    console.error('Get post by slug error:', error);
     res.status(500).json({
       success: false,
       message: 'Error retrieving post',
@@ -177,7 +569,7 @@ const getPostById = async (req, res) => {
 // Create new post
 const createPost = async (req, res) => {
   try {
-    const { title, content, category } = req.body;
+    const { title, content, contentFormat = 'plain', category, tags, status, publishAt } = req.body;
     const userId = req.user._id;
 
     // Validation
@@ -188,6 +580,37 @@ const createPost = async (req, res) => {
       });
     }
 
+    if (!Post.CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Content format must be one of: ${Post.CONTENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const categoryState = await checkPostCategory(category);
+    if (categoryState.error) {
+      return res.status(400).json({
+        success: false,
+        message: categoryState.error
+      });
+    }
+
+    const tagState = tags !== undefined ? normalizeTags(tags) : { tags: [] };
+    if (tagState.error) {
+      return res.status(400).json({
+        success: false,
+        message: tagState.error
+      });
+    }
+
+    const publishState = resolvePublishState({ status, publishAt });
+    if (publishState.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishState.error
+      });
+    }
+
     // Handle thumbnail upload
     let thumbnailPath = null;
     if (req.file) {
@@ -198,24 +621,30 @@ const createPost = async (req, res) => {
     const newPost = new Post({
       title,
       content,
-      category,
+      contentFormat,
+      ...renderPostContent(content, contentFormat),
+      category: categoryState.category.slug,
+      tags: tagState.tags,
       author: userId,
-      thumbnail: thumbnailPath
+      thumbnail: thumbnailPath,
+      status: publishState.status,
+      publishAt: publishState.publishAt,
+      publishedAt: publishState.publishNow ? publishState.publishAt : null
     });
 
-    await newPost.save();
+    await retryOnSlugConflict(async () => {
+      newPost.slug = await generateUniqueSlug(title);
+      await newPost.save();
+    });
+    await recordInitialRevision(newPost, userId);
 
     // Populate author information
-    await newPost.populate('author', 'username');    // Emit post created event with full post data
-    postEmitter.emit('post:created', {
-      _id: newPost._id,
-      title: newPost.title,
-      content: newPost.content,
-      category: newPost.category,
-      thumbnail: newPost.thumbnail,
-      createdAt: newPost.createdAt,
-      author: newPost.author
-    });
+    await newPost.populate('author', 'username');
+
+    // Subscribers hear about the post when it goes public, not when a draft is saved
+    if (publishState.publishNow) {
+      notifyPostPublished(newPost);
+    }
 
     // Clear relevant cache
     if (redisClient) {
@@ -231,7 +660,7 @@ const createPost = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Post created successfully',
+      message: publishState.status === 'published' ? 'Post created successfully' : `Post saved as ${publishState.status}`,
       data: newPost
     });
 
@@ -249,26 +678,59 @@ const createPost = async (req, res) => {
 const updatePost = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, content, category } = req.body;
-    const userId = req.user._id;
+    const { title, content, contentFormat, category, tags, status, publishAt } = req.body;
 
-    // Find the post
+    // Find the post (someone else's draft is treated as missing)
     const post = await Post.findById(id);
-    if (!post) {
+    if (!post || !(await canViewPost(req.user, post))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== userId.toString()) {
+    // Authors need post.update.own, everyone else post.update.any
+    if (!(await canManagePost(req.user, post, 'post.update'))) {
       return res.status(403).json({
         success: false,
         message: 'You can only update your own posts'
       });
     }
 
+    if (contentFormat && !Post.CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Content format must be one of: ${Post.CONTENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const categoryState = category ? await checkPostCategory(category, post.category) : null;
+    if (categoryState && categoryState.error) {
+      return res.status(400).json({
+        success: false,
+        message: categoryState.error
+      });
+    }
+
+    // Sending tags replaces them; an empty value clears them
+    const tagState = tags !== undefined ? normalizeTags(tags) : null;
+    if (tagState && tagState.error) {
+      return res.status(400).json({
+        success: false,
+        message: tagState.error
+      });
+    }
+
+    const publishState = resolvePublishState({ status, publishAt }, post);
+    if (publishState.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishState.error
+      });
+    }
+    // A post that was public before (e.g. archived and restored) doesn't notify again
+    const firstPublish = publishState.publishNow && !post.publishedAt;
+
     // Handle thumbnail upload
     let thumbnailPath = post.thumbnail;
     if (req.file) {
@@ -282,17 +744,28 @@ const updatePost = async (req, res) => {
       thumbnailPath = `/uploads/${req.file.filename}`;
     }
 
-    // Update post
-    const updatedPost = await Post.findByIdAndUpdate(
+    // Update post; a new title gets a new slug and the old one keeps redirecting
+    const updatedPost = await retryOnSlugConflict(async () => Post.findByIdAndUpdate(
       id,
       {
         ...(title && { title }),
+        ...(await getSlugUpdate(post, title)),
         ...(content && { content }),
-        ...(category && { category }),
-        thumbnail: thumbnailPath
+        ...(contentFormat && { contentFormat }),
+        // Re-render whenever the content or its format changes
+        ...((content || contentFormat) && renderPostContent(content || post.content, contentFormat || post.contentFormat)),
+        ...(categoryState && { category: categoryState.category.slug }),
+        ...(tagState && { tags: tagState.tags }),
+        thumbnail: thumbnailPath,
+        status: publishState.status,
+        publishAt: publishState.publishAt,
+        ...(firstPublish && { publishedAt: publishState.publishAt })
       },
       { new: true, runValidators: true }
-    ).populate('author', 'username');
+    ).populate('author', 'username'));
+
+    // Keep the previous version recoverable
+    await recordRevision(post, updatedPost, req.user._id);
 
     // Emit post updated event
     postEmitter.emit('post:updated', {
@@ -301,6 +774,10 @@ const updatePost = async (req, res) => {
       id: updatedPost._id
     });
 
+    if (firstPublish) {
+      notifyPostPublished(updatedPost);
+    }
+
     // Clear relevant cache
     if (redisClient) {
       try {
@@ -334,19 +811,18 @@ const updatePost = async (req, res) => {
 const deletePost = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
 
     // Find the post
     const post = await Post.findById(id).populate('author', 'username');
-    if (!post) {
+    if (!post || !(await canViewPost(req.user, post))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    // Check if user is the author
-    if (post.author._id.toString() !== userId.toString()) {
+    // Authors need post.delete.own, everyone else post.delete.any
+    if (!(await canManagePost(req.user, post, 'post.delete'))) {
       return res.status(403).json({
         success: false,
         message: 'You can only delete your own posts'
@@ -363,6 +839,9 @@ const deletePost = async (req, res) => {
 
     // Delete post
     await Post.findByIdAndDelete(id);
+    await deletePostRevisions(id);
+    await deletePostComments(id);
+    await deletePostReactions(id);
 
     // Emit post deleted event
     postEmitter.emit('post:deleted', {
@@ -406,15 +885,48 @@ const exportPostsToCSV = async (req, res) => {
       category,
       search,
       author,
+      status,
       startDate,
       endDate
     } = req.query;
 
-    // Build query based on user role
+    // Filters go straight into the query, so repeated or nested parameters (?status[$ne]=x) are refused
+    const filters = { category, search, author, status, startDate, endDate };
+    const invalidFilter = Object.keys(filters).find(name => filters[name] !== undefined && typeof filters[name] !== 'string');
+    if (invalidFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidFilter} must be a single string value`
+      });
+    }
+
+    if (status && !Post.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Post.STATUSES.join(', ')}`
+      });
+    }
+
+    if (author && !mongoose.isValidObjectId(author)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid author ID'
+      });
+    }
+
+    // Build query based on user permissions
     let query = {};
+    const canExportAll = await hasPermission(req.user, 'export.all');
+
+    if (!canExportAll && !(await hasPermission(req.user, 'export.own'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: export.own'
+      });
+    }
     
-    // If user is not admin, only export their own posts
-    if (req.user.role !== 'admin') {
+    // Without export.all, only export their own posts
+    if (!canExportAll) {
       query.author = req.user._id;
     }
     
@@ -424,15 +936,24 @@ const exportPostsToCSV = async (req, res) => {
     }
     
     if (search) {
+      const searchPattern = escapeRegex(search);
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
+        { title: { $regex: searchPattern, $options: 'i' } },
+        { content: { $regex: searchPattern, $options: 'i' } }
       ];
     }
     
-    if (author && req.user.role === 'admin') {
+    if (author && canExportAll) {
       query.author = author;
     }
+
+    if (status) {
+      query.status = status;
+    }
+    // Drafts never leave their author's hands, even in a full export
+    if (canExportAll && status !== 'published') {
+      query.$and = [{ $or: [{ status: { $ne: 'draft' } }, { author: req.user._id }] }];
+    }
     
     // Date range filter
     if (startDate || endDate) {
@@ -477,6 +998,9 @@ const exportPostsToCSV = async (req, res) => {
         { id: 'title', title: 'Title' },
         { id: 'content', title: 'Content' },
         { id: 'category', title: 'Category' },
+        { id: 'tags', title: 'Tags' },
+        { id: 'status', title: 'Status' },
+        { id: 'publishedAt', title: 'Published At' },
         { id: 'authorUsername', title: 'Author Username' },
         { id: 'authorFullName', title: 'Author Full Name' },
         { id: 'authorEmail', title: 'Author Email' },
@@ -492,6 +1016,9 @@ const exportPostsToCSV = async (req, res) => {
       title: post.title,
       content: post.content.replace(/\n/g, ' ').replace(/,/g, ';'), // Clean content for CSV
       category: post.category,
+      tags: (post.tags || []).join(';'),
+      status: post.status,
+      publishedAt: post.publishedAt ? new Date(post.publishedAt).toISOString() : 'N/A',
       authorUsername: post.author?.username || 'Unknown',
       authorFullName: post.author?.fullName || 'N/A',
       authorEmail: post.author?.email || 'N/A',
@@ -545,7 +1072,9 @@ const exportPostsToCSV = async (req, res) => {
 
 module.exports = {
   getAllPosts,
+  searchPosts,
   getPostById,
+  getPostBySlug,
   createPost,
   updatePost,
   deletePost,
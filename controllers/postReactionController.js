@@ -0,0 +1,198 @@
+const Post = require('../models/Post');
+const Bookmark = require('../models/Bookmark');
+const {
+  likePost: addLike,
+  unlikePost: removeLike,
+  addBookmark,
+  removeBookmark,
+  markLikedPosts
+} = require('../services/postReactionService');
+
+// Likes and bookmarks only apply to published posts; sends 404 otherwise
+const findPublishedPost = async (req, res) => {
+  const post = await Post.findOne({ _id: req.params.id, status: 'published' }).select('_id');
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// Like a post (idempotent)
+const likePost = async (req, res) => {
+  try {
+    const post = await findPublishedPost(req, res);
+    if (!post) {
+      return;
+    }
+
+    const likeCount = await addLike(post._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post liked',
+      data: {
+        liked: true,
+        likeCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Like post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error liking post',
+      error: error.message
+    });
+  }
+};
+
+// Remove your like from a post (idempotent)
+const unlikePost = async (req, res) => {
+  try {
+    const post = await findPublishedPost(req, res);
+    if (!post) {
+      return;
+    }
+
+    const likeCount = await removeLike(post._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post unliked',
+      data: {
+        liked: false,
+        likeCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlike post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unliking post',
+      error: error.message
+    });
+  }
+};
+
+// Add a post to your reading list (idempotent)
+const bookmarkPost = async (req, res) => {
+  try {
+    const post = await findPublishedPost(req, res);
+    if (!post) {
+      return;
+    }
+
+    await addBookmark(post._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post bookmarked',
+      data: {
+        bookmarked: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Bookmark post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error bookmarking post',
+      error: error.message
+    });
+  }
+};
+
+// Remove a post from your reading list (idempotent; also works after the post was unpublished)
+const unbookmarkPost = async (req, res) => {
+  try {
+    await removeBookmark(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bookmark removed',
+      data: {
+        bookmarked: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing bookmark',
+      error: error.message
+    });
+  }
+};
+
+// Get your reading list, most recently bookmarked first
+const getMyBookmarks = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    // Posts that were unpublished or deleted since are left out
+    const publishedIds = await Post.find({
+      _id: { $in: await Bookmark.distinct('post', { user: req.user._id }) },
+      status: 'published'
+    }).distinct('_id');
+
+    const query = { user: req.user._id, post: { $in: publishedIds } };
+
+    const [bookmarks, totalBookmarks] = await Promise.all([
+      Bookmark.find(query)
+        .populate({ path: 'post', populate: { path: 'author', select: 'username' } })
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Bookmark.countDocuments(query)
+    ]);
+
+    const posts = await markLikedPosts(bookmarks.map(bookmark => bookmark.post), req.user);
+    const totalPages = Math.ceil(totalBookmarks / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bookmarks retrieved successfully',
+      data: {
+        bookmarks: bookmarks.map((bookmark, index) => ({
+          bookmarkedAt: bookmark.createdAt,
+          post: posts[index]
+        })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalBookmarks,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving bookmarks',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  likePost,
+  unlikePost,
+  bookmarkPost,
+  unbookmarkPost,
+  getMyBookmarks
+};
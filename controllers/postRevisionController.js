@@ -0,0 +1,245 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const postEmitter = require('../events/postEvents');
+const cacheStore = require('../services/cacheStore');
+const { canManagePost } = require('../services/permissionService');
+const { canViewPost } = require('../services/postPublishService');
+const { checkPostCategory } = require('../services/categoryService');
+const { getSlugUpdate, retryOnSlugConflict } = require('../services/postSlugService');
+const { renderPostContent } = require('../services/postContentService');
+const {
+  pickTracked,
+  getChangedFields,
+  recordRevision,
+  diffRevisions
+} = require('../services/postRevisionService');
+
+// Load a post whose history the user may see (anyone allowed to edit it); sends the error response otherwise
+const findEditablePost = async (req, res) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post || !(await canViewPost(req.user, post))) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  if (!(await canManagePost(req.user, post, 'post.update'))) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only access the history of posts you can edit'
+    });
+    return null;
+  }
+
+  return post;
+};
+
+const parseRevisionNumber = (value) => {
+  const revision = parseInt(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+// List a post's revisions, newest first (content is left out; use the diff endpoint)
+const getPostRevisions = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) {
+      return;
+    }
+
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [revisions, totalRevisions] = await Promise.all([
+      PostRevision.find({ post: post._id })
+        .select('-content')
+        .populate('editor', 'username')
+        .sort({ revision: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PostRevision.countDocuments({ post: post._id })
+    ]);
+
+    const totalPages = Math.ceil(totalRevisions / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Revisions retrieved successfully',
+      data: {
+        revisions,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalRevisions,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving revisions',
+      error: error.message
+    });
+  }
+};
+
+// Compare a revision with the one before it, or with ?against=<revision>
+const getRevisionDiff = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) {
+      return;
+    }
+
+    const revisionNumber = parseRevisionNumber(req.params.rev);
+    const againstNumber = req.query.against !== undefined
+      ? parseRevisionNumber(req.query.against)
+      : revisionNumber - 1;
+
+    if (!revisionNumber || againstNumber === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision numbers must be positive integers'
+      });
+    }
+
+    const revisions = await PostRevision.find({
+      post: post._id,
+      revision: { $in: [revisionNumber, againstNumber] }
+    }).lean();
+
+    const revision = revisions.find(item => item.revision === revisionNumber);
+    // Revision 1 is compared with an empty post
+    const against = againstNumber === 0 ? {} : revisions.find(item => item.revision === againstNumber);
+
+    if (!revision || !against) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision diff retrieved successfully',
+      data: {
+        from: againstNumber,
+        to: revisionNumber,
+        changes: diffRevisions(against, revision)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revision diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving revision diff',
+      error: error.message
+    });
+  }
+};
+
+// Put a post's title, content (with its format) and category back to an earlier revision
+const restoreRevision = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) {
+      return;
+    }
+
+    const revisionNumber = parseRevisionNumber(req.params.rev);
+    const revision = revisionNumber && await PostRevision.findOne({ post: post._id, revision: revisionNumber }).lean();
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const restored = pickTracked(revision);
+    // Older revisions didn't record the format; they keep the post's current one
+    restored.contentFormat = restored.contentFormat || post.contentFormat;
+    // Follow category renames; a category since deleted or archived leaves the current one in place
+    const categoryState = await checkPostCategory(restored.category, post.category);
+    restored.category = categoryState.error ? post.category : categoryState.category.slug;
+    if (getChangedFields(post, restored).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Post already matches revision ${revisionNumber}`
+      });
+    }
+
+    // A restored title gets its slug back (or a free variant); the current slug keeps redirecting
+    const updatedPost = await retryOnSlugConflict(async () => Post.findByIdAndUpdate(
+      post._id,
+      {
+        ...restored,
+        ...renderPostContent(restored.content, restored.contentFormat),
+        ...(await getSlugUpdate(post, restored.title))
+      },
+      { new: true, runValidators: true }
+    ).populate('author', 'username'));
+
+    // Deleted while the restore was in progress
+    if (!updatedPost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const newRevision = await recordRevision(post, updatedPost, req.user._id, { restoredFrom: revisionNumber });
+
+    // Same side effects as a regular update
+    postEmitter.emit('post:updated', {
+      title: updatedPost.title,
+      author: updatedPost.author,
+      id: updatedPost._id
+    });
+
+    await cacheStore.delByPrefix('posts:');
+    await cacheStore.del(`post:${post._id}`);
+
+    console.log(`⏪ Post "${updatedPost.title}" restored to revision ${revisionNumber} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Post restored to revision ${revisionNumber}`,
+      data: {
+        post: updatedPost,
+        revision: newRevision.revision,
+        restoredFields: newRevision.changedFields
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring revision',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPostRevisions,
+  getRevisionDiff,
+  restoreRevision
+};
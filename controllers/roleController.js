@@ -0,0 +1,218 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { invalidateRoleCache } = require('../services/permissionService');
+
+// Reject unknown permission names; returns the list of invalid ones
+const findInvalidPermissions = (permissions) => {
+  return permissions.filter(permission => !Role.PERMISSIONS.includes(permission));
+};
+
+// Get all roles with user counts
+const getRoles = async (req, res) => {
+  try {
+    const [roles, roleCounts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const countByRole = {};
+    roleCounts.forEach(({ _id, count }) => {
+      countByRole[_id] = count;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Roles retrieved successfully',
+      data: {
+        roles: roles.map(role => ({
+          ...role,
+          userCount: countByRole[role.name] || 0
+        })),
+        availablePermissions: Role.PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving roles',
+      error: error.message
+    });
+  }
+};
+
+// Create a new role
+const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    // Validation
+    if (!name || !Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name and a permissions array are required'
+      });
+    }
+
+    const invalidPermissions = findInvalidPermissions(permissions);
+    if (invalidPermissions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid permissions: ${invalidPermissions.join(', ')}`
+      });
+    }
+
+    const existingRole = await Role.findOne({ name: String(name).trim().toLowerCase() });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role already exists'
+      });
+    }
+
+    const newRole = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: newRole
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role',
+      error: error.message
+    });
+  }
+};
+
+// Update a role's description and permissions
+const updateRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Permissions must be an array'
+        });
+      }
+
+      const invalidPermissions = findInvalidPermissions(permissions);
+      if (invalidPermissions.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid permissions: ${invalidPermissions.join(', ')}`
+        });
+      }
+
+      // Keep at least one way back into role management
+      if (role.name === 'admin' && !permissions.includes('role.manage')) {
+        return res.status(400).json({
+          success: false,
+          message: 'The admin role must keep the role.manage permission'
+        });
+      }
+
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (description !== undefined) {
+      role.description = description;
+    }
+
+    await role.save();
+    invalidateRoleCache(role.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+};
+
+// Delete a custom role that no user holds
+const deleteRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const usersWithRole = await User.countDocuments({ role: role.name });
+    if (usersWithRole > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is still assigned to ${usersWithRole} user(s)`
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    invalidateRoleCache(role.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,155 @@
+const User = require('../models/User');
+const {
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessionsForUser
+} = require('../services/sessionService');
+
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId
+});
+
+// List the current user's active sessions
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: sessions.map(session => formatSession(session, req.sessionId))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving sessions',
+      error: error.message
+    });
+  }
+};
+
+// Sign out one of the current user's sessions (e.g. a lost laptop)
+const revokeMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revokedCount = await revokeSession(req.user._id, sessionId);
+    if (revokedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: sessionId === req.sessionId
+        ? 'Current session ended. Please log in again.'
+        : 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// List any user's active sessions (requires user.read)
+const getUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select('username');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await getActiveSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username
+        },
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving sessions',
+      error: error.message
+    });
+  }
+};
+
+// End one session, or all sessions, of any user (requires user.status.write)
+const revokeUserSessions = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const user = await User.findById(id).select('username');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revokedCount = sessionId
+      ? await revokeSession(user._id, sessionId)
+      : await revokeAllSessionsForUser(user._id);
+
+    if (sessionId && revokedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.log(`🔒 ${revokedCount} session(s) of "${user.username}" revoked by admin: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: {
+        revoked: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSessions
+};
@@ -0,0 +1,88 @@
+const { TAG_MAX_LENGTH, normalizeTag, getTagCounts, renameTag: renameTagOnPosts } = require('../services/tagService');
+
+// List tags of published posts with their usage counts (public)
+const getTags = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const tags = await getTagCounts(limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags retrieved successfully',
+      data: {
+        tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving tags',
+      error: error.message
+    });
+  }
+};
+
+// Rename a tag on every post; renaming onto an existing tag merges them (requires tag.manage)
+const renameTag = async (req, res) => {
+  try {
+    const from = normalizeTag(req.params.tag);
+    const to = req.body.name ? normalizeTag(req.body.name) : '';
+
+    // Validation
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        message: 'New tag name is required'
+      });
+    }
+    if (to.includes(',') || to.length > TAG_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Tag name must be at most ${TAG_MAX_LENGTH} characters and cannot contain commas`
+      });
+    }
+    if (to === from) {
+      return res.status(400).json({
+        success: false,
+        message: 'New tag name must be different from the current one'
+      });
+    }
+
+    const { postsUpdated, merged } = await renameTagOnPosts(from, to);
+    if (postsUpdated === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    console.log(`🏷️ Tag "${from}" ${merged ? 'merged into' : 'renamed to'} "${to}" on ${postsUpdated} post(s) by admin: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: merged ? `Tag merged into "${to}"` : 'Tag renamed successfully',
+      data: {
+        from,
+        to,
+        merged,
+        postsUpdated
+      }
+    });
+
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renaming tag',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  renameTag
+};
@@ -0,0 +1,445 @@
+const User = require('../models/User');
+const { issueTokenPair } = require('../services/tokenService');
+const { invalidateAuthUser } = require('../services/userCacheService');
+const { cancelAccountDeletion } = require('../services/accountDeletionService');
+const { comparePassword } = require('../services/passwordService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../services/loginAttemptService');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateBackupCodes,
+  findBackupCode,
+  isTwoFactorRequired,
+  verifyChallengeToken
+} = require('../services/twoFactorService');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+
+// Check a TOTP or backup code against an enrolled user and consume it
+const consumeSecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep);
+  if (step !== null) {
+    // Guard on the last used step so the same code can't win twice concurrently
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { $lt: step } }
+        ]
+      },
+      { twoFactorLastUsedStep: step }
+    );
+    return Boolean(updated);
+  }
+
+  const backupCodeHash = findBackupCode(user.twoFactorBackupCodes, code);
+  if (backupCodeHash) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorBackupCodes: backupCodeHash },
+      { $pull: { twoFactorBackupCodes: backupCodeHash } }
+    );
+    return Boolean(updated);
+  }
+
+  return false;
+};
+
+// Turn on 2FA from the pending secret and hand out fresh backup codes
+const activateTwoFactor = async (user, step) => {
+  const { codes, hashes } = generateBackupCodes();
+
+  await User.findByIdAndUpdate(user._id, {
+    twoFactorEnabled: true,
+    twoFactorSecret: user.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+    twoFactorBackupCodes: hashes,
+    twoFactorLastUsedStep: step
+  });
+  await invalidateAuthUser(user._id);
+
+  return codes;
+};
+
+// Store a new pending secret and return its provisioning data
+const createPendingSecret = async (user) => {
+  const secret = generateSecret();
+
+  await User.findByIdAndUpdate(user._id, {
+    twoFactorPendingSecret: encryptSecret(secret)
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(user.username, secret)
+  };
+};
+
+// Resolve the user behind a login challenge token
+const getChallengeUser = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(challengeToken);
+  } catch (error) {
+    return { decoded: null, user: null };
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.isActive) {
+    return { decoded, user: null };
+  }
+
+  return { decoded, user };
+};
+
+// Start enrollment during login when 2FA is mandatory but not set up yet
+const setupLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+
+    // Validation
+    if (!challengeToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token is required'
+      });
+    }
+
+    const { decoded, user } = await getChallengeUser(challengeToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    if (!decoded.setupRequired || user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already set up'
+      });
+    }
+
+    const provisioning = await createPendingSecret(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: provisioning
+    });
+
+  } catch (error) {
+    console.error('Login 2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// Second login step: exchange challenge token + code for real tokens
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    // Validation
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    const { decoded, user } = await getChallengeUser(challengeToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const ip = req.ip || req.connection.remoteAddress;
+    const attemptCheck = await checkLoginAllowed(user.username, ip);
+    if (!attemptCheck.allowed) {
+      res.set('Retry-After', String(attemptCheck.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Please try again in ${attemptCheck.retryAfter} seconds.`,
+        retryAfter: attemptCheck.retryAfter
+      });
+    }
+
+    let backupCodes;
+    let isCodeValid;
+
+    if (decoded.setupRequired && !user.twoFactorEnabled) {
+      // Mandatory enrollment: confirm the code against the pending secret
+      if (!user.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor setup has not been started'
+        });
+      }
+
+      const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), code);
+      isCodeValid = step !== null;
+      if (isCodeValid) {
+        backupCodes = await activateTwoFactor(user, step);
+      }
+    } else {
+      isCodeValid = await consumeSecondFactor(user, code);
+    }
+
+    if (!isCodeValid) {
+      await recordFailedLogin(user.username, ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await clearFailedLogins(user.username);
+
+    const deletionCancelled = await cancelAccountDeletion(user);
+    const { accessToken, refreshToken, expiresIn } = await issueTokenPair(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        ...(backupCodes && { backupCodes }),
+        ...(deletionCancelled && { deletionCancelled }),
+        user: {
+          id: user._id,
+          username: user.username
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Login 2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification',
+      error: error.message
+    });
+  }
+};
+
+// Start 2FA enrollment for the current user
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const provisioning = await createPendingSecret(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: provisioning
+    });
+
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Confirm enrollment with a code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // Validation
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const backupCodes = await activateTwoFactor(user, step);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      data: {
+        backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Turn off 2FA (requires password and a current code)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { currentPassword, code } = req.body;
+
+    // Validation
+    if (!currentPassword || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and code are required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your role'
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await comparePassword(currentPassword, user.password);
+    if (!isPasswordValid || !(await consumeSecondFactor(user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorBackupCodes: [],
+      twoFactorLastUsedStep: null
+    });
+    await invalidateAuthUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Replace all backup codes (requires a current code)
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // Validation
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeSecondFactor(user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.findByIdAndUpdate(user._id, { twoFactorBackupCodes: hashes });
+
+    res.status(200).json({
+      success: true,
+      message: 'Backup codes regenerated. Previous codes no longer work.',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating backup codes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setupLoginTwoFactor,
+  verifyLoginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
@@ -1,4 +1,53 @@
 const User = require('../models/User');
+const Role = require('../models/Role');
+const {
+  revokeAllForUser,
+  issueTokenPair,
+  generateRandomToken
+} = require('../services/tokenService');
+const {
+  hashPassword,
+  comparePassword,
+  validatePassword,
+  setPassword
+} = require('../services/passwordService');
+const { startPasswordReset } = require('../services/passwordResetService');
+const {
+  DEFAULT_USER_ROLE,
+  canAssignRole,
+  roleOutranks,
+  isLastActiveAdmin
+} = require('../services/permissionService');
+const { unlockAccount, getAccountLockStatus } = require('../services/loginAttemptService');
+const { startEmailVerification } = require('../services/emailVerificationService');
+const { invalidateAuthUser } = require('../services/userCacheService');
+const { decodeCursor, findCursorPage } = require('../services/paginationService');
+const { revokeApiKeysForUser } = require('../services/apiKeyService');
+const {
+  collectUserData,
+  buildJsonExport,
+  streamZipExport
+} = require('../services/dataExportService');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  ACCOUNT_DELETION_POST_POLICY,
+  scheduleAccountDeletion,
+  purgeAccount,
+  mergeAccounts
+} = require('../services/accountDeletionService');
+
+// Fields an admin response may show about a user
+const formatAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  fullName: user.fullName,
+  role: user.role,
+  isActive: user.isActive,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
 
 // Get current user profile
 const getProfile = async (req, res) => {
@@ -28,7 +77,7 @@ const getProfile = async (req, res) => {
   }
 };
 
-// Get user by ID (Admin only)
+// Get user by ID (requires user.read)
 const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -58,7 +107,7 @@ const getUserById = async (req, res) => {
   }
 };
 
-// Get all users (Admin only)
+// Get all users (requires user.read)
 const getAllUsers = async (req, res) => {
   try {
     const {
@@ -66,18 +115,42 @@ const getAllUsers = async (req, res) => {
       limit = 10,
       role,
       search,
-      isActive
+      isActive,
+      pagination = 'offset',
+      cursor
     } = req.query;
 
+    // Cursor mode is opt-in: pagination=cursor for the first page, then the returned cursors
+    const cursorMode = pagination === 'cursor' || cursor !== undefined;
     const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    const limitNum = cursorMode ? Math.min(Math.max(parseInt(limit) || 10, 1), 100) : parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
+    if (!['offset', 'cursor'].includes(pagination)) {
+      return res.status(400).json({
+        success: false,
+        message: 'pagination must be one of: offset, cursor'
+      });
+    }
+
+    // Users are always listed newest first
+    const cursorSortFields = [{ field: 'createdAt', order: -1, type: 'date' }];
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeCursor(cursor, cursorSortFields);
+      if (decodedCursor.error) {
+        return res.status(400).json({
+          success: false,
+          message: decodedCursor.error
+        });
+      }
+    }
+
     // Build query
     let query = {};
     
-    if (role && ['admin', 'user'].includes(role)) {
-      query.role = role;
+    if (role) {
+      query.role = String(role).toLowerCase();
     }
     
     if (search) {
@@ -92,6 +165,28 @@ const getAllUsers = async (req, res) => {
       query.isActive = isActive === 'true';
     }
 
+    if (cursorMode) {
+      const cursorPage = await findCursorPage({
+        find: (cursorFilter, sort, pageLimit) => User.find({ $and: [query, cursorFilter] })
+          .select('-password')
+          .sort(sort)
+          .limit(pageLimit)
+          .lean(),
+        sortFields: cursorSortFields,
+        cursor: decodedCursor,
+        limit: limitNum
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Users retrieved successfully',
+        data: {
+          users: cursorPage.items,
+          pagination: cursorPage.pagination
+        }
+      });
+    }
+
     // Execute queries
     const [users, totalUsers] = await Promise.all([
       User.find(query)
@@ -137,12 +232,28 @@ const updateProfile = async (req, res) => {
     const { fullName, email } = req.body;
     const userId = req.user._id;
 
+    const emailChanged = email && email.trim().toLowerCase() !== req.user.email;
+
+    // Check if the new email is already in use
+    if (emailChanged) {
+      const existingEmail = await User.findOne({
+        email: email.trim().toLowerCase(),
+        _id: { $ne: userId }
+      });
+      if (existingEmail) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already in use'
+        });
+      }
+    }
+
     // Find and update user
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       {
         ...(fullName && { fullName }),
-        ...(email && { email })
+        ...(emailChanged && { email, emailVerified: false })
       },
       { new: true, runValidators: true }
     ).select('-password');
@@ -154,6 +265,13 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    await invalidateAuthUser(updatedUser._id);
+
+    // A changed address must be verified again
+    if (emailChanged) {
+      await startEmailVerification(updatedUser);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -170,12 +288,201 @@ const updateProfile = async (req, res) => {
   }
 };
 
-// Update user status (Admin only)
+// Change current user's password
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const userId = req.user._id;
+
+    // Validation
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Check current password
+    const isPasswordValid = await comparePassword(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    // Check password rules
+    const passwordCheck = validatePassword(newPassword, { username: user.username });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet requirements',
+        errors: passwordCheck.errors
+      });
+    }
+
+    // Update password (invalidates every token issued before now)
+    const updatedUser = await setPassword(userId, newPassword);
+
+    // Hand the caller a fresh session so only other devices are signed out
+    const { accessToken, refreshToken, expiresIn } = await issueTokenPair(updatedUser, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token: accessToken,
+        refreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
+
+// Download everything stored about the current user (ZIP or JSON)
+const exportProfileData = async (req, res) => {
+  try {
+    const { format = 'zip' } = req.query;
+
+    if (!['zip', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be zip or json'
+      });
+    }
+
+    const data = await collectUserData(req.user._id);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `${req.user.username}_data_${timestamp}.${format}`;
+
+    console.log(`📦 Personal data exported by user: ${req.user.username}, Posts count: ${data.posts.length}`);
+
+    if (format === 'json') {
+      const jsonExport = await buildJsonExport(data);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).json(jsonExport);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    res.setHeader('Content-Type', 'application/zip');
+    await streamZipExport(data, res);
+
+  } catch (error) {
+    console.error('Export profile data error:', error);
+
+    // The ZIP may already be streaming; all we can do then is cut it off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting personal data',
+      error: error.message
+    });
+  }
+};
+
+// Close the current user's account (soft delete with a grace period)
+const deleteProfile = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const userId = req.user._id;
+
+    // Validation
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required to delete your account'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await comparePassword(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Never leave the system without an administrator
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last active admin cannot delete their account'
+      });
+    }
+
+    const updatedUser = await scheduleAccountDeletion(userId);
+
+    console.log(`🗑️ Account deletion scheduled by user: ${user.username}, purge after ${updatedUser.deletionScheduledFor.toISOString()}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Account scheduled for deletion. Log in again within ${ACCOUNT_DELETION_GRACE_DAYS} days to cancel.`,
+      data: {
+        deletionScheduledFor: updatedUser.deletionScheduledFor,
+        postPolicy: ACCOUNT_DELETION_POST_POLICY
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account',
+      error: error.message
+    });
+  }
+};
+
+// Update user status (requires user.status.write)
 const updateUserStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { isActive } = req.body;
 
+    // Only a real boolean: "false" or 0 would slip past the guards below and still be saved as false
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be a boolean'
+      });
+    }
+
     // Prevent admin from deactivating themselves
     if (id === req.user._id.toString() && isActive === false) {
       return res.status(400).json({
@@ -184,6 +491,16 @@ const updateUserStatus = async (req, res) => {
       });
     }
 
+    if (isActive === false) {
+      const user = await User.findById(id).select('role');
+      if (user && await isLastActiveAdmin(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The last active admin cannot be deactivated'
+        });
+      }
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       id,
       { isActive },
@@ -197,6 +514,13 @@ const updateUserStatus = async (req, res) => {
       });
     }
 
+    await invalidateAuthUser(updatedUser._id);
+
+    // Force a deactivated user out of every session
+    if (isActive === false) {
+      await revokeAllForUser(updatedUser._id);
+    }
+
     res.status(200).json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -213,13 +537,512 @@ const updateUserStatus = async (req, res) => {
   }
 };
 
-// Get user statistics (Admin only)
+// Change a user's role (requires user.role.write)
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    // Validation
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const roleName = String(role).trim().toLowerCase();
+    const roleExists = await Role.exists({ name: roleName });
+    if (!roleExists) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${roleName}' does not exist`
+      });
+    }
+
+    // Nobody hands out more than they hold
+    if (await roleOutranks(roleName, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. The '${roleName}' role has permissions you lack`
+      });
+    }
+
+    const user = await User.findById(id).select('role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Same rule as editing a user: a more privileged account is out of reach
+    if (await roleOutranks(user.role, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You cannot change the role of a user whose role has permissions you lack'
+      });
+    }
+
+    if (roleName !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last active admin cannot be demoted'
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      id,
+      { role: roleName },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await invalidateAuthUser(updatedUser._id);
+
+    res.status(200).json({
+      success: true,
+      message: `User role changed to ${roleName} successfully`,
+      data: updatedUser
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+      error: error.message
+    });
+  }
+};
+
+// Create a user with an initial password or an emailed invitation (requires user.create)
+const createUser = async (req, res) => {
+  try {
+    const { username, email, password, fullName, role = DEFAULT_USER_ROLE } = req.body;
+
+    // Validation
+    if (!username || !email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and email are required'
+      });
+    }
+
+    // Without a password the user receives an invitation to choose one
+    if (password) {
+      const passwordCheck = validatePassword(password, { username });
+      if (!passwordCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet requirements',
+          errors: passwordCheck.errors
+        });
+      }
+    }
+
+    const roleName = String(role).trim().toLowerCase();
+    if (!(await Role.exists({ name: roleName }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${roleName}' does not exist`
+      });
+    }
+
+    // Same rule as PUT /:id/role: other roles need user.role.write
+    if (!(await canAssignRole(req.user, roleName))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Assigning the '${roleName}' role requires permission: user.role.write`
+      });
+    }
+    if (await roleOutranks(roleName, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. The '${roleName}' role has permissions you lack`
+      });
+    }
+
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    const existingEmail = await User.findOne({ email: email.trim().toLowerCase() });
+    if (existingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already in use'
+      });
+    }
+
+    const newUser = await User.create({
+      username,
+      email,
+      fullName,
+      role: roleName,
+      // Invited users get an unusable password until they accept
+      password: await hashPassword(password || generateRandomToken(32))
+    });
+
+    if (password) {
+      await startEmailVerification(newUser);
+    } else {
+      await startPasswordReset(newUser, { type: 'invite' });
+    }
+
+    console.log(`👤 User "${newUser.username}" created by admin: ${req.user.username}${password ? '' : ' (invited)'}`);
+
+    res.status(201).json({
+      success: true,
+      message: password ? 'User created successfully' : 'User created and invitation sent',
+      data: {
+        ...formatAdminUser(newUser),
+        invited: !password
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Create user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating user',
+      error: error.message
+    });
+  }
+};
+
+// Edit a user's profile fields (requires user.update)
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, email, fullName } = req.body;
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Changing the email of a more privileged account would let the caller reset its password
+    if (!user._id.equals(req.user._id) && await roleOutranks(user.role, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You cannot edit a user whose role has permissions you lack'
+      });
+    }
+
+    if (username !== undefined && username !== user.username) {
+      const existingUser = await User.findOne({ username, _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username already exists'
+        });
+      }
+      user.username = username;
+    }
+
+    const emailChanged = email !== undefined && email.trim().toLowerCase() !== user.email;
+    if (emailChanged) {
+      const existingEmail = await User.findOne({
+        email: email.trim().toLowerCase(),
+        _id: { $ne: user._id }
+      });
+      if (existingEmail) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already in use'
+        });
+      }
+      user.email = email;
+      user.emailVerified = false;
+    }
+
+    if (fullName !== undefined) {
+      user.fullName = fullName;
+    }
+
+    await user.save();
+    await invalidateAuthUser(user._id);
+
+    // A changed address must be verified again by its owner
+    if (emailChanged) {
+      await startEmailVerification(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user',
+      error: error.message
+    });
+  }
+};
+
+// Invalidate a user's password and email them a reset link (requires user.password.reset)
+const forcePasswordReset = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has no email address to send the reset link to'
+      });
+    }
+
+    // The old password stops working, every session is signed out and API keys are revoked
+    await setPassword(user._id, generateRandomToken(32));
+    await revokeApiKeysForUser(user._id);
+    await startPasswordReset(user, { type: 'forced' });
+
+    console.log(`🔑 Password reset forced for "${user.username}" by admin: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset forced. The user has been signed out, their API keys revoked, and emailed a reset link.'
+    });
+
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error forcing password reset',
+      error: error.message
+    });
+  }
+};
+
+// Delete a user right away (requires user.delete)
+const deleteUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { postPolicy = ACCOUNT_DELETION_POST_POLICY } = req.body || {};
+
+    if (!['anonymize', 'delete'].includes(postPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'postPolicy must be anonymize or delete'
+      });
+    }
+
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account here; use DELETE /api/users/profile'
+      });
+    }
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last active admin cannot be deleted'
+      });
+    }
+
+    await purgeAccount(user, postPolicy);
+
+    console.log(`🗑️ User "${user.username}" deleted by admin: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      data: {
+        id: user._id,
+        postPolicy
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting user',
+      error: error.message
+    });
+  }
+};
+
+// Merge one account into another: posts move over, the source account is removed (requires user.delete)
+const mergeUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { targetUserId } = req.body;
+
+    // Validation
+    if (!targetUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target user ID is required'
+      });
+    }
+
+    if (id === targetUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge an account into itself'
+      });
+    }
+
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot merge away your own account'
+      });
+    }
+
+    const [sourceUser, targetUser] = await Promise.all([
+      User.findById(id).select('-password'),
+      User.findById(targetUserId).select('-password')
+    ]);
+
+    if (!sourceUser || !targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await isLastActiveAdmin(sourceUser)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last active admin cannot be merged away'
+      });
+    }
+
+    if (!targetUser.isActive || targetUser.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge into an inactive account or one scheduled for deletion'
+      });
+    }
+
+    const movedPosts = await mergeAccounts(sourceUser, targetUser);
+
+    console.log(`🔀 User "${sourceUser.username}" merged into "${targetUser.username}" by admin: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Users merged successfully',
+      data: {
+        removedUserId: sourceUser._id,
+        targetUser: formatAdminUser(targetUser),
+        movedPosts
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging users',
+      error: error.message
+    });
+  }
+};
+
+// Unlock an account locked by failed logins (requires user.unlock)
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousStatus = await getAccountLockStatus(user.username);
+    await unlockAccount(user.username);
+
+    console.log(`🔓 Account "${user.username}" unlocked by admin: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully',
+      data: {
+        id: user._id,
+        username: user.username,
+        wasLocked: previousStatus.locked,
+        failedAttempts: previousStatus.failedAttempts
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: error.message
+    });
+  }
+};
+
+// Get user statistics (requires user.read)
 const getUserStats = async (req, res) => {
   try {
     const stats = await Promise.all([
       User.countDocuments(),
-      User.countDocuments({ role: 'admin' }),
-      User.countDocuments({ role: 'user' }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
       User.countDocuments({ isActive: true }),
       User.countDocuments({ isActive: false }),
       User.countDocuments({
@@ -231,22 +1054,24 @@ const getUserStats = async (req, res) => {
 
     const [
       totalUsers,
-      adminUsers,
-      regularUsers,
+      roleCounts,
       activeUsers,
       inactiveUsers,
       newUsersThisMonth
     ] = stats;
 
+    // Built-in roles always appear, custom roles only when in use
+    const byRole = { admin: 0, user: 0 };
+    roleCounts.forEach(({ _id, count }) => {
+      byRole[_id] = count;
+    });
+
     res.status(200).json({
       success: true,
       message: 'User statistics retrieved successfully',
       data: {
         total: totalUsers,
-        byRole: {
-          admin: adminUsers,
-          user: regularUsers
-        },
+        byRole,
         byStatus: {
           active: activeUsers,
           inactive: inactiveUsers
@@ -270,6 +1095,16 @@ module.exports = {
   getUserById,
   getAllUsers,
   updateProfile,
+  changePassword,
+  exportProfileData,
+  deleteProfile,
   updateUserStatus,
+  updateUserRole,
+  createUser,
+  updateUser,
+  forcePasswordReset,
+  deleteUser,
+  mergeUser,
+  unlockUser,
   getUserStats
 };
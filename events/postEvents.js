@@ -2,7 +2,12 @@ const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const User = require('../models/User');
-const { sendBulkEmail, generateNewPostEmailTemplate } = require('../services/emailService');
+const {
+  sendEmail,
+  sendBulkEmail,
+  generateNewPostEmailTemplate,
+  generateNewCommentTemplate
+} = require('../services/emailService');
 
 class PostEventEmitter extends EventEmitter {}
 
@@ -26,10 +31,12 @@ postEmitter.on('post:created', async (postData) => {
 
   // Send email notifications to all active users (except the author)
   try {
-    // Get all active users with email addresses (excluding the post author)
+    // Get all active users with verified email addresses (excluding the post author)
     const users = await User.find({ 
       isActive: true, 
-      email: { $exists: true, $ne: null, $ne: '' },
+      emailVerified: true,
+      deletionScheduledFor: null,
+      email: { $exists: true, $nin: [null, ''] },
       _id: { $ne: postData.author._id }
     }).select('email username');
 
@@ -49,7 +56,7 @@ postEmitter.on('post:created', async (postData) => {
           console.error('❌ Error sending email notifications:', error);
         });
     } else {
-      console.log('📧 No users with email addresses found for notification');
+      console.log('📧 No users with verified email addresses found for notification');
     }
   } catch (error) {
     console.error('❌ Error fetching users for email notification:', error);
@@ -86,4 +93,81 @@ postEmitter.on('post:deleted', (postData) => {
   fs.appendFileSync(logFile, logMessage);
 });
 
+// Event listener for new comments: log it and email the post author
+postEmitter.on('comment:created', async (commentData) => {
+  const { post, author } = commentData;
+  console.log(`💬 New comment on "${post.title}" by ${author.username}`);
+
+  const logDir = path.join(__dirname, '../logs');
+  if (!fs.existsSync(logDir)) {
+    fs.mkdirSync(logDir, { recursive: true });
+  }
+
+  const logFile = path.join(logDir, `posts-${new Date().toISOString().split('T')[0]}.log`);
+  const logMessage = `[${new Date().toISOString()}] COMMENT_CREATED - Post: "${post.title}", Comment: ${commentData._id}, Author: ${author.username}\n`;
+
+  fs.appendFileSync(logFile, logMessage);
+
+  // Authors aren't notified about their own comments
+  const postAuthorId = post.author._id || post.author;
+  if (postAuthorId.toString() === author._id.toString()) {
+    return;
+  }
+
+  try {
+    const postAuthor = await User.findOne({
+      _id: postAuthorId,
+      isActive: true,
+      emailVerified: true,
+      deletionScheduledFor: null,
+      email: { $exists: true, $nin: [null, ''] }
+    }).select('email username');
+
+    if (!postAuthor) {
+      return;
+    }
+
+    sendEmail(
+      postAuthor.email,
+      `💬 New comment on "${post.title}"`,
+      generateNewCommentTemplate(postAuthor, post, commentData, author)
+    ).catch(error => {
+      console.error('❌ Error sending comment notification:', error);
+    });
+  } catch (error) {
+    console.error('❌ Error fetching post author for comment notification:', error);
+  }
+});
+
+// Event listener for comment deletion
+postEmitter.on('comment:deleted', (commentData) => {
+  console.log(`🗑️ Comment ${commentData._id} deleted on "${commentData.post.title}" by ${commentData.deletedBy.username}`);
+
+  const logDir = path.join(__dirname, '../logs');
+  if (!fs.existsSync(logDir)) {
+    fs.mkdirSync(logDir, { recursive: true });
+  }
+
+  const logFile = path.join(logDir, `posts-${new Date().toISOString().split('T')[0]}.log`);
+  const logMessage = `[${new Date().toISOString()}] COMMENT_DELETED - Post: "${commentData.post.title}", Comment: ${commentData._id}, By: ${commentData.deletedBy.username}\n`;
+
+  fs.appendFileSync(logFile, logMessage);
+});
+
+// Event listener for comment moderation
+postEmitter.on('comment:hidden', (commentData) => {
+  const action = commentData.hidden ? 'hidden' : 'unhidden';
+  console.log(`🙈 Comment ${commentData._id} ${action} on "${commentData.post.title}" by ${commentData.moderator.username}`);
+
+  const logDir = path.join(__dirname, '../logs');
+  if (!fs.existsSync(logDir)) {
+    fs.mkdirSync(logDir, { recursive: true });
+  }
+
+  const logFile = path.join(logDir, `posts-${new Date().toISOString().split('T')[0]}.log`);
+  const logMessage = `[${new Date().toISOString()}] COMMENT_${action.toUpperCase()} - Post: "${commentData.post.title}", Comment: ${commentData._id}, By: ${commentData.moderator.username}\n`;
+
+  fs.appendFileSync(logFile, logMessage);
+});
+
 module.exports = postEmitter;
@@ -0,0 +1,37 @@
+// Whether the request may act within a scope; JWT sessions are not scope-limited
+const hasScope = (req, scope) => {
+  return req.authMethod !== 'apiKey' || req.apiKey.scopes.includes(scope);
+};
+
+// Middleware factory: API key requests must carry the given scope.
+// JWT sessions are not scope-limited and pass straight through.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!hasScope(req, scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. API key is missing the '${scope}' scope.`
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware for account-security routes that API keys must never reach
+const requireSession = (req, res, next) => {
+  if (req.authMethod === 'apiKey') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. This endpoint requires a logged-in session, not an API key.'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  hasScope,
+  requireScope,
+  requireSession
+};
@@ -1,5 +1,22 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const { getAuthUser } = require('../services/userCacheService');
+const { getActiveSession, touchSession } = require('../services/sessionService');
+
+const rejectDeactivated = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied. Account is deactivated.'
+  });
+};
+
+// Accounts pending deletion keep only the ability to log in again (which cancels it)
+const rejectPendingDeletion = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied. Account is scheduled for deletion.'
+  });
+};
 
 const verifyToken = async (req, res, next) => {
   try {
@@ -9,6 +26,30 @@ const verifyToken = async (req, res, next) => {
       return next();
     }
 
+    // Personal API keys are accepted instead of a JWT
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      const result = await authenticateApiKey(apiKeyHeader);
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API key.'
+        });
+      }
+
+      if (!result.user.isActive) {
+        return rejectDeactivated(res);
+      }
+      if (result.user.deletionScheduledFor) {
+        return rejectPendingDeletion(res);
+      }
+
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      req.authMethod = 'apiKey';
+      return next();
+    }
+
     // Check for token in header
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -23,9 +64,17 @@ const verifyToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Special-purpose tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
     
     // Find user and attach to request
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await getAuthUser(decoded.id);
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -33,7 +82,36 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
+    // Deactivated accounts lose access immediately, even with unexpired tokens
+    if (!user.isActive) {
+      return rejectDeactivated(res);
+    }
+    if (user.deletionScheduledFor) {
+      return rejectPendingDeletion(res);
+    }
+
+    // Reject tokens issued before the last password change
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is no longer valid. Please log in again.'
+      });
+    }
+
+    // Every access token belongs to a session that can be ended from another device
+    const session = decoded.sid ? await getActiveSession(decoded.sid) : null;
+    if (!session || session.user !== user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.'
+      });
+    }
+
+    await touchSession(session, req);
+
     req.user = user;
+    req.sessionId = session.id;
+    req.authMethod = 'jwt';
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -0,0 +1,13 @@
+const verifyToken = require('./auth');
+
+// Authenticate when credentials are sent, otherwise continue as an anonymous visitor.
+// Used on public routes that show more to signed-in users (e.g. their own drafts).
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization && !req.headers['x-api-key']) {
+    return next();
+  }
+
+  return verifyToken(req, res, next);
+};
+
+module.exports = optionalAuth;
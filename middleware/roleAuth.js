@@ -1,31 +1,38 @@
-// Middleware to check if user has admin role
-const isAdmin = (req, res, next) => {
-  try {
-    // Check if user exists (from auth middleware)
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. User not authenticated.'
-      });
-    }
+const { getRolePermissions } = require('../services/permissionService');
 
-    // Check if user has admin role
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+// Middleware factory: user's role must grant every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      // Check if user exists (from auth middleware)
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. User not authenticated.'
+        });
+      }
+
+      const granted = await getRolePermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${missing.join(', ')}`
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: 'Error checking permissions',
+        error: error.message
       });
     }
-
-    next();
-  } catch (error) {
-    console.error('Admin check error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error checking admin privileges',
-      error: error.message
-    });
-  }
+  };
 };
 
 // Middleware to check if user is active
@@ -59,6 +66,6 @@ const isActiveUser = (req, res, next) => {
 };
 
 module.exports = {
-  isAdmin,
+  requirePermission,
   isActiveUser
 };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Post category; posts store the slug, so renaming a slug rewrites existing posts
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Category slug may only contain lowercase letters, numbers and single "-" between them'],
+    maxlength: [50, 'Category slug cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Category description cannot exceed 500 characters'],
+    default: null
+  },
+  // Lower numbers are listed first
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Archived categories keep their posts but can't be chosen for new ones
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  // Slugs used before a rename; old links and revisions still resolve to this category
+  previousSlugs: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+categorySchema.index({ sortOrder: 1, name: 1 });
+categorySchema.index({ previousSlugs: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Registration invite; the code itself is only stored as a hash
+const inviteSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required'],
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'user'
+  },
+  // Emailed invites can only be used with this address
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address'],
+    default: null
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+inviteSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const CONTENT_FORMATS = ['plain', 'markdown'];
+
 const postSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -7,26 +10,90 @@ const postSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // URL-friendly, unique identifier generated from the title
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Slugs from earlier titles; GET /api/posts/slug/:slug redirects them to the current one
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
   content: {
     type: String,
     required: [true, 'Content is required'],
     trim: true
   },
+  contentFormat: {
+    type: String,
+    enum: {
+      values: CONTENT_FORMATS,
+      message: 'Content format must be one of: ' + CONTENT_FORMATS.join(', ')
+    },
+    default: 'plain'
+  },
+  // Derived from content by postContentService whenever it changes; contentHtml is sanitized
+  contentHtml: {
+    type: String,
+    default: null
+  },
+  // Text preview, HTML-escaped so it can be embedded as is
+  excerptHtml: {
+    type: String,
+    default: null
+  },
+  readingTimeMinutes: {
+    type: Number,
+    default: 1
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Author is required']
   },
+  // Slug of a Category document; checked against the categories collection by the controllers
   category: {
     type: String,
     required: [true, 'Category is required'],
     trim: true,
-    enum: ['tech', 'lifestyle', 'business', 'education', 'health', 'entertainment', 'other']
+    lowercase: true
+  },
+  // Normalized by tagService (lowercase, trimmed, unique) before saving
+  tags: {
+    type: [String],
+    default: []
   },
   thumbnail: {
     type: String,
     default: null
   },
+  // Only published posts are public; drafts are visible to their author alone
+  status: {
+    type: String,
+    enum: {
+      values: POST_STATUSES,
+      message: 'Status must be one of: ' + POST_STATUSES.join(', ')
+    },
+    default: 'published'
+  },
+  // When a scheduled post goes public
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // When the post first went public; the post:created notification is sent only once
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Kept in step with PostLike documents through atomic $inc updates
+  likeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -38,7 +105,15 @@ const postSchema = new mongoose.Schema({
 // Indexes for performance
 postSchema.index({ author: 1 });
 postSchema.index({ category: 1 });
+postSchema.index({ tags: 1 });
+postSchema.index({ previousSlugs: 1 });
 postSchema.index({ createdAt: -1 });
+postSchema.index({ status: 1, createdAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ status: 1, likeCount: -1, createdAt: -1 });
 postSchema.index({ title: 'text', content: 'text' });
 
+postSchema.statics.STATUSES = POST_STATUSES;
+postSchema.statics.CONTENT_FORMATS = CONTENT_FORMATS;
+
 module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One like per user and post; Post.likeCount mirrors the number of these
+const postLikeSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+postLikeSchema.index({ post: 1, user: 1 }, { unique: true });
+postLikeSchema.index({ user: 1, post: 1 });
+
+module.exports = mongoose.model('PostLike', postLikeSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a post's editable fields after one change; revisions are never modified
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+    immutable: true
+  },
+  // Sequential per post, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  // null for the baseline of posts created before revisions were recorded
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  title: {
+    type: String,
+    immutable: true
+  },
+  content: {
+    type: String,
+    immutable: true
+  },
+  // Missing on revisions recorded before it was tracked
+  contentFormat: {
+    type: String,
+    immutable: true
+  },
+  category: {
+    type: String,
+    immutable: true
+  },
+  changedFields: {
+    type: [String],
+    default: [],
+    immutable: true
+  },
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Block query updates as well; revisions can only be created or removed with their post
+const rejectUpdate = function (next) {
+  next(new Error('Post revisions are immutable'));
+};
+postRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can grant
+const PERMISSIONS = [
+  'post.create',
+  'post.update.own',
+  'post.update.any',
+  'post.delete.own',
+  'post.delete.any',
+  'export.own',
+  'export.all',
+  'user.read',
+  'user.create',
+  'user.update',
+  'user.delete',
+  'user.password.reset',
+  'user.invite',
+  'user.status.write',
+  'user.unlock',
+  'user.role.write',
+  'comment.moderate',
+  'tag.manage',
+  'category.manage',
+  'role.manage'
+];
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 characters: letters, numbers, "-" or "_"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    default: []
+  },
+  // Built-in roles (admin, user) cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Default permissions already granted to a built-in role, so new defaults are added once
+  grantedDefaults: {
+    type: [String],
+    default: [],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+module.exports = mongoose.model('Role', roleSchema);
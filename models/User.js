@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -15,13 +16,90 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'user'],
-    default: 'user'
+    trim: true,
+    lowercase: true,
+    default: 'user',
+    validate: {
+      // Roles live in the Role collection so admins can add new ones
+      validator: async (value) => Boolean(await Role.exists({ name: value })),
+      message: props => `Role '${props.value}' does not exist`
+    }
   },
   email: {
     type: String,
     trim: true,
     lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address'],
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  // Identity at the OpenID Connect provider, set on first OIDC login
+  oidcIssuer: {
+    type: String,
+    default: null
+  },
+  oidcSubject: {
+    type: String,
+    default: null
+  },
+  // Self-deletion: the account is purged once deletionScheduledFor has passed
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
     default: null
   },
   fullName: {
@@ -41,5 +119,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ emailVerificationTokenHash: 1 });
+userSchema.index({ passwordResetTokenHash: 1 });
+userSchema.index({ oidcIssuer: 1, oidcSubject: 1 });
+userSchema.index({ deletionScheduledFor: 1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -1,5 +1,18 @@
 const express = require('express');
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  login,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logout
+} = require('../controllers/authController');
+const {
+  setupLoginTwoFactor,
+  verifyLoginTwoFactor
+} = require('../controllers/twoFactorController');
+const { oidcLogin, oidcCallback } = require('../controllers/oidcController');
 
 const router = express.Router();
 
@@ -8,6 +21,7 @@ const router = express.Router();
  * /api/register:
  *   post:
  *     summary: Register a new user
+ *     description: Depends on REGISTRATION_MODE. In invite-only mode an inviteCode is required; in closed mode self-registration is disabled. A valid invite code assigns the invite's role.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -17,7 +31,8 @@ const router = express.Router();
  *             $ref: '#/components/schemas/RegisterInput'
  *           example:
  *             username: "john_doe"
- *             password: "password123"
+ *             password: "Blue-Harbor-42"
+ *             email: "john@example.com"
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -27,20 +42,35 @@ const router = express.Router();
  *               $ref: '#/components/schemas/ApiResponse'
  *             example:
  *               success: true
- *               message: "User registered successfully"
+ *               message: "User registered successfully. Please check your email to verify your address."
  *               data:
  *                 id: "60f7b3b3b3b3b3b3b3b3b3b3"
  *                 username: "john_doe"
+ *                 email: "john@example.com"
+ *                 emailVerified: false
+ *                 role: "user"
  *                 createdAt: "2023-07-20T10:30:00.000Z"
  *       400:
- *         description: Bad request - validation error or user already exists
+ *         description: Bad request - validation error, user or email already exists, invalid or used-up invite code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Password does not meet requirements"
+ *               errors:
+ *                 - rule: "common"
+ *                   message: "Password is too common or has appeared in a data breach"
+ *       403:
+ *         description: Registration is closed, or an invite code is required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *             example:
  *               success: false
- *               message: "Username already exists"
+ *               message: "Registration requires an invite code"
  *       500:
  *         description: Internal server error
  *         content:
@@ -55,6 +85,7 @@ router.post('/register', register);
  * /api/login:
  *   post:
  *     summary: Login user
+ *     description: When the account has two-factor authentication enabled (or it is mandatory for the role), the response contains a challengeToken instead of tokens. Complete the login with POST /api/login/2fa.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -77,6 +108,8 @@ router.post('/register', register);
  *               message: "Login successful"
  *               data:
  *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "3f6c1d9e0b8a47c2a1e5d4f7b9c8e2a6..."
+ *                 expiresIn: "15m"
  *                 user:
  *                   id: "60f7b3b3b3b3b3b3b3b3b3b3"
  *                   username: "john_doe"
@@ -89,6 +122,26 @@ router.post('/register', register);
  *             example:
  *               success: false
  *               message: "Invalid username or password"
+ *       403:
+ *         description: Account is deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts for this account or IP - try again after Retry-After seconds. After the first two failures each further attempt must wait 1s, 2s, 4s ... (up to 30s) and is rejected with 429 when made earlier; reaching the limit locks the account or IP for LOGIN_LOCKOUT_MINUTES.
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds to wait before the next attempt
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Too many failed login attempts. Please try again in 900 seconds."
  *       400:
  *         description: Bad request - missing required fields
  *         content:
@@ -104,4 +157,453 @@ router.post('/register', register);
  */
 router.post('/login', login);
 
+/**
+ * @swagger
+ * /api/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchanges the challenge token from /api/login plus a TOTP or backup code for an access token and refresh token. For mandatory enrollment the code confirms the new authenticator and backup codes are returned.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by /api/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code or a backup code
+ *           example:
+ *             challengeToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Login successful"
+ *               data:
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "3f6c1d9e0b8a47c2a1e5d4f7b9c8e2a6..."
+ *                 expiresIn: "15m"
+ *                 user:
+ *                   id: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                   username: "admin"
+ *       400:
+ *         description: Bad request - missing fields or setup not started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid or expired challenge token, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/login/2fa', verifyLoginTwoFactor);
+
+/**
+ * @swagger
+ * /api/login/2fa/setup:
+ *   post:
+ *     summary: Start mandatory two-factor enrollment during login
+ *     description: Only valid for a challenge token with setupRequired. Returns the secret and otpauth:// URI to show as a QR code.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Provisioning data generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetupResponse'
+ *       400:
+ *         description: Bad request - missing token or already set up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid or expired challenge token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/login/2fa/setup', setupLoginTwoFactor);
+
+/**
+ * @swagger
+ * /api/oidc/login:
+ *   get:
+ *     summary: Start login with the configured OpenID Connect provider
+ *     description: Redirects the browser to the provider's authorization endpoint (authorization code flow with PKCE). Open this URL in a browser rather than calling it from Swagger UI.
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: OIDC login is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error (e.g. provider discovery failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/oidc/login', oidcLogin);
+
+/**
+ * @swagger
+ * /api/oidc/callback:
+ *   get:
+ *     summary: Complete OpenID Connect login
+ *     description: Redirect target registered at the identity provider. Exchanges the code, verifies the ID token and returns the same tokens as POST /api/login. On first login the account is created, or linked to an existing user with the same verified email; the role is taken from the configured claim mapping. Local two-factor authentication still applies, so accounts with 2FA enabled (or required for their role) get a challengeToken to complete with POST /api/login/2fa, as with password login.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Authorization code issued by the provider
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: State value created by /api/oidc/login
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Login successful"
+ *               data:
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "9f2c1e..."
+ *                 expiresIn: "15m"
+ *                 created: true
+ *                 linked: false
+ *                 user:
+ *                   id: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                   username: "jane.doe"
+ *                   role: "user"
+ *       400:
+ *         description: Missing code/state, unknown or expired state, or provider error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Code exchange failed or ID token is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account is deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: OIDC login is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The email belongs to an account that cannot be linked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/oidc/callback', oidcCallback);
+
+/**
+ * @swagger
+ * /api/token/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Refresh tokens are single-use. Presenting a token that was already rotated revokes every token in its family.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenInput'
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Token refreshed successfully"
+ *               data:
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "9b2e7a4c6d1f48e3b5a0c7d2e9f1a3b4..."
+ *                 expiresIn: "15m"
+ *       400:
+ *         description: Bad request - missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Refresh token has been revoked"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/token/refresh', refreshToken);
+
+/**
+ * @swagger
+ * /api/verify-email:
+ *   get:
+ *     summary: Verify email address using the token from the confirmation link
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Single-use verification token sent by email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Email verified successfully"
+ *               data:
+ *                 id: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                 username: "john_doe"
+ *                 email: "john@example.com"
+ *                 emailVerified: true
+ *       400:
+ *         description: Missing, invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid or expired verification token"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/verify-email', verifyEmail);
+
+/**
+ * @swagger
+ * /api/password/forgot:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always returns the same response so it cannot be used to check whether an email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *           example:
+ *             email: "john@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "If an account with that email exists, a password reset link has been sent"
+ *       400:
+ *         description: Bad request - missing email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/password/forgot', forgotPassword);
+
+/**
+ * @swagger
+ * /api/password/reset:
+ *   post:
+ *     summary: Reset password using the emailed one-time token
+ *     description: On success every existing session of the user is invalidated and all of their API keys are revoked.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Reset token from the email
+ *               password:
+ *                 type: string
+ *                 description: New password; must satisfy the password policy
+ *                 minLength: 8
+ *           example:
+ *             token: "5d0c9f6e2b7a4e1c8f3d6a9b2c5e8f1a..."
+ *             password: "n3w-S3cure-pass"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Password reset successfully. Please log in with your new password."
+ *       400:
+ *         description: Missing fields, weak password, or invalid/expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid or expired reset token"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/password/reset', resetPassword);
+
+/**
+ * @swagger
+ * /api/logout:
+ *   post:
+ *     summary: Logout user and revoke the refresh token family
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenInput'
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Logout successful"
+ *       400:
+ *         description: Bad request - missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout', logout);
+
 module.exports = router;
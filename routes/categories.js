@@ -0,0 +1,207 @@
+const express = require('express');
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const verifyToken = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requirePermission, isActiveUser } = require('../middleware/roleAuth');
+const { requireSession } = require('../middleware/apiScope');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: List post categories in display order
+ *     description: Public. Archived categories are only listed for users with the category.manage permission who pass includeArchived=true.
+ *     tags: [Categories]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list archived categories (requires category.manage)
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Categories retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Category'
+ *   post:
+ *     summary: Create a category (requires category.manage permission)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *           example:
+ *             slug: "travel"
+ *             name: "Travel"
+ *             description: "Trips, guides and travel tips"
+ *             sortOrder: 7
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Missing or invalid fields, or the slug is already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', optionalAuth, getCategories);
+router.post('/', verifyToken, requireSession, isActiveUser, requirePermission('category.manage'), createCategory);
+
+/**
+ * @swagger
+ * /api/categories/{slug}:
+ *   put:
+ *     summary: Update a category (requires category.manage permission)
+ *     description: Changing the slug moves every post to the new slug; the old slug keeps working as a filter and for revision restores. Archived categories keep their posts but can't be chosen for new posts.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Current category slug
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CategoryInput'
+ *               - type: object
+ *                 properties:
+ *                   archived:
+ *                     type: boolean
+ *           example:
+ *             slug: "technology"
+ *             name: "Technology"
+ *     responses:
+ *       200:
+ *         description: Category updated successfully (postsUpdated is included when the slug changed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Invalid fields, or the new slug is already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a category that no post uses (requires category.manage permission)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category slug
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Category still has posts; archive it instead
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:slug', verifyToken, requireSession, isActiveUser, requirePermission('category.manage'), updateCategory);
+router.delete('/:slug', verifyToken, requireSession, isActiveUser, requirePermission('category.manage'), deleteCategory);
+
+module.exports = router;
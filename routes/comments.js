@@ -0,0 +1,322 @@
+const express = require('express');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  setCommentVisibility
+} = require('../controllers/commentController');
+const verifyToken = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requireScope } = require('../middleware/apiScope');
+
+// Mounted under /api/posts/:id/comments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/posts/{id}/comments:
+ *   get:
+ *     summary: Get comment threads of a post
+ *     description: Public for published posts. Top-level comments are paginated oldest first, each with its nested replies. Hidden comments have content null except for the post author, moderators and the comment's own author; deleted comments only remain as placeholders while they have replies.
+ *     tags: [Comments]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Top-level comments per page
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Comments retrieved successfully"
+ *               data:
+ *                 comments:
+ *                   - _id: "64b7f0c2e4b0a1a2b3c4d5e6"
+ *                     parent: null
+ *                     depth: 0
+ *                     author:
+ *                       _id: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                       username: "jane_smith"
+ *                     content: "Great article!"
+ *                     hidden: false
+ *                     deleted: false
+ *                     editedAt: null
+ *                     createdAt: "2023-07-21T09:00:00.000Z"
+ *                     replies:
+ *                       - _id: "64b7f0c2e4b0a1a2b3c4d5e7"
+ *                         parent: "64b7f0c2e4b0a1a2b3c4d5e6"
+ *                         depth: 1
+ *                         author:
+ *                           _id: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *                           username: "john_doe"
+ *                         content: "Thanks!"
+ *                         hidden: false
+ *                         deleted: false
+ *                         editedAt: null
+ *                         createdAt: "2023-07-21T09:05:00.000Z"
+ *                         replies: []
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalComments: 1
+ *                   hasNext: false
+ *                   hasPrev: false
+ *                   limit: 20
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Comment on a post or reply to a comment
+ *     description: Only published posts accept comments. The post author is notified by email. API keys need the `posts:write` scope.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *               parentId:
+ *                 type: string
+ *                 description: Comment to reply to (replies nest up to COMMENT_MAX_DEPTH levels)
+ *           example:
+ *             content: "Great article!"
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Missing content, post not published, unavailable parent or nesting too deep
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', optionalAuth, getComments);
+router.post('/', verifyToken, requireScope('posts:write'), createComment);
+
+/**
+ * @swagger
+ * /api/posts/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit your own comment
+ *     description: API keys need the `posts:write` scope.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Missing or too long content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the comment's author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a comment (its author, or comment.moderate permission)
+ *     description: A comment with replies is kept as a placeholder without content so the thread stays intact. API keys need the `posts:write` scope.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       403:
+ *         description: Not the comment's author and missing comment.moderate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:commentId', verifyToken, requireScope('posts:write'), updateComment);
+router.delete('/:commentId', verifyToken, requireScope('posts:write'), deleteComment);
+
+/**
+ * @swagger
+ * /api/posts/{id}/comments/{commentId}/visibility:
+ *   put:
+ *     summary: Hide or unhide a comment (post author, or comment.moderate permission)
+ *     description: Hidden comments keep their replies but their content is only shown to the post author, moderators and the comment's author. Hidden comments can't be replied to. API keys need the `posts:write` scope.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hidden
+ *             properties:
+ *               hidden:
+ *                 type: boolean
+ *           example:
+ *             hidden: true
+ *     responses:
+ *       200:
+ *         description: Comment visibility updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: hidden is not a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the post author and missing comment.moderate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:commentId/visibility', verifyToken, requireScope('posts:write'), setCommentVisibility);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const {
+  createInvite,
+  getInvites,
+  revokeInvite
+} = require('../controllers/inviteController');
+const verifyToken = require('../middleware/auth');
+const { requirePermission, isActiveUser } = require('../middleware/roleAuth');
+const { requireSession } = require('../middleware/apiScope');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/invites:
+ *   post:
+ *     summary: Create a registration invite (requires user.invite permission)
+ *     description: The code is returned once and only its hash is stored. When email is given the invite link is emailed and the invite only works for that address. Registering with the invite assigns its role; any role other than the default `user` also requires the user.role.write permission.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 default: user
+ *               email:
+ *                 type: string
+ *                 description: Send the invite link to this address and restrict the invite to it
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to INVITE_DEFAULT_TTL_DAYS from now
+ *           example:
+ *             role: "user"
+ *             email: "new.hire@example.com"
+ *             maxUses: 1
+ *             expiresAt: "2025-12-31T00:00:00.000Z"
+ *     responses:
+ *       201:
+ *         description: Invite created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Invite created and emailed. Copy the code now; it will not be shown again."
+ *               data:
+ *                 id: "60f7b3b3b3b3b3b3b3b3b3b5"
+ *                 code: "3F9A1C7E0B2D4A6C8E1F"
+ *                 inviteUrl: "https://apiasm.vunet.vn/register?invite=3F9A1C7E0B2D4A6C8E1F"
+ *                 prefix: "3F9A1C"
+ *                 role: "user"
+ *                 email: "new.hire@example.com"
+ *                 maxUses: 1
+ *                 expiresAt: "2025-12-31T00:00:00.000Z"
+ *       400:
+ *         description: Unknown role, invalid usage limit, expiry or email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission, or user.role.write missing for a non-default role, or the role has permissions the caller lacks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List registration invites and the current registration mode (requires user.invite permission)
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invites retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', verifyToken, requireSession, isActiveUser, requirePermission('user.invite'), createInvite);
+router.get('/', verifyToken, requireSession, isActiveUser, requirePermission('user.invite'), getInvites);
+
+/**
+ * @swagger
+ * /api/invites/{id}:
+ *   delete:
+ *     summary: Revoke a registration invite (requires user.invite permission)
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite ID
+ *     responses:
+ *       200:
+ *         description: Invite revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Invite not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:id', verifyToken, requireSession, isActiveUser, requirePermission('user.invite'), revokeInvite);
+
+module.exports = router;
@@ -1,13 +1,29 @@
 const express = require('express');
 const {
   getAllPosts,
+  searchPosts,
   getPostById,
+  getPostBySlug,
   createPost,
   updatePost,
   deletePost,
   exportPostsToCSV
 } = require('../controllers/postController');
+const {
+  getPostRevisions,
+  getRevisionDiff,
+  restoreRevision
+} = require('../controllers/postRevisionController');
+const {
+  likePost,
+  unlikePost,
+  bookmarkPost,
+  unbookmarkPost
+} = require('../controllers/postReactionController');
 const verifyToken = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requireScope } = require('../middleware/apiScope');
+const { requirePermission } = require('../middleware/roleAuth');
 const { upload, handleMulterError } = require('../middleware/upload');
 
 const router = express.Router();
@@ -17,7 +33,12 @@ const router = express.Router();
  * /api/posts:
  *   get:
  *     summary: Get all posts with pagination, filtering, and sorting
+ *     description: Public and returns published posts. Other statuses require authentication and only list your own posts; users with post.update.any also see everyone's scheduled and archived posts. Drafts are always author-only.
  *     tags: [Posts]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -38,9 +59,9 @@ const router = express.Router();
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [createdAt, title, category]
+ *           enum: [createdAt, publishedAt, title, category, popularity]
  *           default: createdAt
- *         description: Field to sort by
+ *         description: Field to sort by (popularity sorts by like count)
  *       - in: query
  *         name: order
  *         schema:
@@ -52,13 +73,43 @@ const router = express.Router();
  *         name: category
  *         schema:
  *           type: string
- *           enum: [tech, lifestyle, business, education, health, entertainment, other]
- *         description: Filter by category
+ *         description: Filter by category slug (see GET /api/categories); old slugs of renamed categories also match
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
  *         description: Search in title and content
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags, e.g. nodejs,mongodb
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Match posts with any of the tags, or only posts with all of them
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *           default: published
+ *         description: Post status to list (anything but published requires authentication)
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [offset, cursor]
+ *           default: offset
+ *         description: Pagination mode. In cursor mode page is ignored, no totals are counted and the response carries nextCursor/prevCursor
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor from a previous cursor-mode response (implies pagination=cursor; keep the same sortBy, order and filters)
  *     responses:
  *       200:
  *         description: Posts retrieved successfully
@@ -66,6 +117,18 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/PaginationResponse'
+ *       400:
+ *         description: Unknown status, tagMatch or pagination, or an invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required to list unpublished posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -73,14 +136,110 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', getAllPosts);
+router.get('/', optionalAuth, getAllPosts);
+
+/**
+ * @swagger
+ * /api/posts/search:
+ *   get:
+ *     summary: Full-text search in published posts
+ *     description: Uses the title/content text index, so words are matched regardless of case, accents and (English) word endings. Results are ordered by relevance and cached like the post list. Each post carries its relevance score and an HTML-escaped highlight of the title and a content snippet with matches wrapped in <mark>.
+ *     tags: [Posts]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Words to search for; "quoted phrases" must appear as written and -word excludes posts containing the word
+ *         example: 'node "lập trình" -java'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Number of results per page
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category slug
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Filter by author user ID or username
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only posts published on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only posts published on or before this date
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginationResponse'
+ *             example:
+ *               success: true
+ *               message: "Search results retrieved successfully"
+ *               data:
+ *                 query: "node \"lập trình\""
+ *                 posts:
+ *                   - _id: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *                     title: "Lập trình Node.js cơ bản"
+ *                     slug: "lap-trinh-node-js-co-ban"
+ *                     score: 2.1
+ *                     highlight:
+ *                       title: "<mark>Lập trình</mark> <mark>Node</mark>.js cơ bản"
+ *                       snippet: "…giới thiệu về <mark>lập trình</mark> web với <mark>Node</mark>.js và MongoDB…"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalPosts: 1
+ *                   hasNext: false
+ *                   hasPrev: false
+ *                   limit: 10
+ *       400:
+ *         description: Missing or too long query, unknown category or invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/search', optionalAuth, searchPosts);
 
 /**
  * @swagger
  * /api/posts/{id}:
  *   get:
  *     summary: Get single post by ID
+ *     description: Published posts are public. Drafts are only returned to their author; scheduled and archived posts to their author and users with post.update.any. Anyone else gets 404.
  *     tags: [Posts]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -120,16 +279,77 @@ router.get('/', getAllPosts);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', getPostById);
+router.get('/:id', optionalAuth, getPostById);
+
+/**
+ * @swagger
+ * /api/posts/slug/{slug}:
+ *   get:
+ *     summary: Get single post by slug
+ *     description: Same visibility rules and caching as GET /api/posts/{id}. A slug the post had before its title changed answers 301 with the current slug in the Location header and in data.slug.
+ *     tags: [Posts]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post slug, e.g. lap-trinh-node-js-co-ban
+ *     responses:
+ *       200:
+ *         description: Post retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Post retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Post'
+ *       301:
+ *         description: Old slug; follow the Location header
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL of the post under its current slug
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Post has moved to a new slug"
+ *               data:
+ *                 slug: "lap-trinh-node-js-nang-cao"
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/slug/:slug', optionalAuth, getPostBySlug);
 
 /**
  * @swagger
  * /api/posts:
  *   post:
  *     summary: Create a new post (requires authentication)
+ *     description: API keys need the `posts:write` scope.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -148,10 +368,24 @@ router.get('/:id', getPostById);
  *               content:
  *                 type: string
  *                 description: Post content
+ *               contentFormat:
+ *                 type: string
+ *                 enum: [plain, markdown]
+ *                 description: How content is rendered to contentHtml (defaults to plain on create)
  *               category:
  *                 type: string
- *                 enum: [tech, lifestyle, business, education, health, entertainment, other]
- *                 description: Post category
+ *                 description: Category slug; must be an existing, non-archived category (see GET /api/categories)
+ *               tags:
+ *                 type: string
+ *                 description: Comma-separated tags (lowercased and de-duplicated, at most POST_MAX_TAGS)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 description: Defaults to published, or scheduled when publishAt is in the future
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish time for scheduled posts (must be in the future)
  *               thumbnail:
  *                 type: string
  *                 format: binary
@@ -173,7 +407,7 @@ router.get('/:id', getPostById);
  *                 data:
  *                   $ref: '#/components/schemas/Post'
  *       400:
- *         description: Bad request - validation error or file upload error
+ *         description: Bad request - validation error, invalid status, publishAt, tags or contentFormat, or file upload error
  *         content:
  *           application/json:
  *             schema:
@@ -184,6 +418,12 @@ router.get('/:id', getPostById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing post.create permission or API key scope, or account deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -193,6 +433,8 @@ router.get('/:id', getPostById);
  */
 router.post('/', 
   verifyToken, 
+  requireScope('posts:write'), 
+  requirePermission('post.create'), 
   upload.single('thumbnail'), 
   handleMulterError, 
   createPost
@@ -202,10 +444,12 @@ router.post('/',
  * @swagger
  * /api/posts/{id}:
  *   put:
- *     summary: Update post (requires authentication, owner only)
+ *     summary: Update post (owner with post.update.own, or post.update.any)
+ *     description: API keys need the `posts:write` scope.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -227,10 +471,24 @@ router.post('/',
  *               content:
  *                 type: string
  *                 description: Post content
+ *               contentFormat:
+ *                 type: string
+ *                 enum: [plain, markdown]
+ *                 description: How content is rendered to contentHtml (defaults to plain on create)
  *               category:
  *                 type: string
- *                 enum: [tech, lifestyle, business, education, health, entertainment, other]
- *                 description: Post category
+ *                 description: Category slug; must be an existing, non-archived category (see GET /api/categories)
+ *               tags:
+ *                 type: string
+ *                 description: Comma-separated tags (lowercased and de-duplicated, at most POST_MAX_TAGS); replaces the current tags, an empty value removes them
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *                 description: New status; publishing a draft or scheduled post notifies subscribers the first time it goes public
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New publish time; a future date schedules the post when status is omitted
  *               thumbnail:
  *                 type: string
  *                 format: binary
@@ -252,7 +510,7 @@ router.post('/',
  *                 data:
  *                   $ref: '#/components/schemas/Post'
  *       400:
- *         description: Bad request - validation error or file upload error
+ *         description: Bad request - validation error, invalid status, publishAt, tags or contentFormat, or file upload error
  *         content:
  *           application/json:
  *             schema:
@@ -264,7 +522,7 @@ router.post('/',
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden - can only update own posts
+ *         description: Forbidden - not the owner and missing post.update.any, or account deactivated
  *         content:
  *           application/json:
  *             schema:
@@ -287,6 +545,7 @@ router.post('/',
  */
 router.put('/:id', 
   verifyToken, 
+  requireScope('posts:write'), 
   upload.single('thumbnail'), 
   handleMulterError, 
   updatePost
@@ -296,10 +555,12 @@ router.put('/:id',
  * @swagger
  * /api/posts/{id}:
  *   delete:
- *     summary: Delete post (requires authentication, owner only)
+ *     summary: Delete post (owner with post.delete.own, or post.delete.any)
+ *     description: API keys need the `posts:write` scope.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -328,7 +589,7 @@ router.put('/:id',
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden - can only delete own posts
+ *         description: Forbidden - not the owner and missing post.delete.any, or account deactivated
  *         content:
  *           application/json:
  *             schema:
@@ -349,23 +610,393 @@ router.put('/:id',
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', verifyToken, deletePost);
+router.delete('/:id', verifyToken, requireScope('posts:write'), deletePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: List a post's revisions (anyone who can edit the post)
+ *     description: Every update stores an immutable revision with the editor, timestamp and changed fields. Content is omitted here; use the diff endpoint. API keys need the `posts:read` scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Revisions retrieved successfully"
+ *               data:
+ *                 revisions:
+ *                   - revision: 3
+ *                     editor:
+ *                       _id: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                       username: "john_doe"
+ *                     title: "Getting started with Node.js"
+ *                     category: "tech"
+ *                     changedFields: ["title"]
+ *                     restoredFrom: null
+ *                     createdAt: "2023-07-21T09:00:00.000Z"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalRevisions: 3
+ *                   hasNext: false
+ *                   hasPrev: false
+ *                   limit: 20
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - not allowed to edit this post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/revisions', verifyToken, requireScope('posts:read'), getPostRevisions);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{rev}/diff:
+ *   get:
+ *     summary: Compare a revision with the previous one (or another revision)
+ *     description: Title, contentFormat and category changes are returned as from/to pairs, content as a line diff. Revision 1 is compared with an empty post. API keys need the `posts:read` scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
+ *       - in: query
+ *         name: against
+ *         schema:
+ *           type: integer
+ *         description: Revision to compare with (defaults to rev - 1)
+ *     responses:
+ *       200:
+ *         description: Revision diff retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Revision diff retrieved successfully"
+ *               data:
+ *                 from: 2
+ *                 to: 3
+ *                 changes:
+ *                   title:
+ *                     from: "Getting started with Node"
+ *                     to: "Getting started with Node.js"
+ *                   content:
+ *                     - type: "unchanged"
+ *                       value: "Node.js is a JavaScript runtime.\n"
+ *                     - type: "removed"
+ *                       value: "It is slow."
+ *                     - type: "added"
+ *                       value: "It is fast."
+ *       400:
+ *         description: Invalid revision number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - not allowed to edit this post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/revisions/:rev/diff', verifyToken, requireScope('posts:read'), getRevisionDiff);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{rev}/restore:
+ *   post:
+ *     summary: Restore a post's title, content (with its format) and category from a revision
+ *     description: The restore is recorded as a new revision (with restoredFrom), clears the post caches and emits post:updated. API keys need the `posts:write` scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Post restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Post restored to revision 2"
+ *               data:
+ *                 revision: 4
+ *                 restoredFields: ["title", "content"]
+ *       400:
+ *         description: Post already matches the revision, or the revision no longer passes validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - not allowed to edit this post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/revisions/:rev/restore', verifyToken, requireScope('posts:write'), restoreRevision);
+
+/**
+ * @swagger
+ * /api/posts/{id}/like:
+ *   put:
+ *     summary: Like a post
+ *     description: Liking an already liked post changes nothing. API keys need the `posts:write` scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post liked (or already liked)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Post liked"
+ *               data:
+ *                 liked: true
+ *                 likeCount: 13
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post not found or not published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Remove your like from a post
+ *     description: Unliking a post you have not liked changes nothing. API keys need the `posts:write` scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Like removed (or was not there)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Post unliked"
+ *               data:
+ *                 liked: false
+ *                 likeCount: 12
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post not found or not published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id/like', verifyToken, requireScope('posts:write'), likePost);
+router.delete('/:id/like', verifyToken, requireScope('posts:write'), unlikePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/bookmark:
+ *   put:
+ *     summary: Bookmark a post into your reading list
+ *     description: Idempotent. See GET /api/users/profile/bookmarks. API keys need the `posts:write` scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post bookmarked (or already bookmarked)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Post bookmarked"
+ *               data:
+ *                 bookmarked: true
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post not found or not published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Remove a post from your reading list
+ *     description: Idempotent; also works for posts that are no longer published. API keys need the `posts:write` scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Bookmark removed (or was not there)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Bookmark removed"
+ *               data:
+ *                 bookmarked: false
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id/bookmark', verifyToken, requireScope('posts:write'), bookmarkPost);
+router.delete('/:id/bookmark', verifyToken, requireScope('posts:write'), unbookmarkPost);
 
 /**
  * @swagger
  * /api/posts/export/csv:
  *   get:
  *     summary: Export posts to CSV file (requires authentication)
+ *     description: Users with export.own get their own posts; users with export.all get every post. API keys need the `posts:export` scope.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *           enum: [tech, lifestyle, business, education, health, entertainment, other]
- *         description: Filter by category
+ *         description: Filter by category slug
  *       - in: query
  *         name: search
  *         schema:
@@ -375,7 +1006,13 @@ router.delete('/:id', verifyToken, deletePost);
  *         name: author
  *         schema:
  *           type: string
- *         description: Filter by author ID (Admin only)
+ *         description: Filter by author ID (requires export.all permission)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *         description: Filter by status (other users' drafts are never exported)
  *       - in: query
  *         name: startDate
  *         schema:
@@ -402,12 +1039,24 @@ router.delete('/:id', verifyToken, deletePost);
  *             schema:
  *               type: string
  *               example: 'attachment; filename="posts_export_2024-01-01T12-00-00-000Z.csv"'
+ *       400:
+ *         description: Invalid filter (repeated or nested parameter, unknown status or invalid author ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing export.own/export.all permission or API key scope, or account deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: No posts found for export
  *         content:
@@ -424,6 +1073,6 @@ router.delete('/:id', verifyToken, deletePost);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/export/csv', verifyToken, exportPostsToCSV);
+router.get('/export/csv', verifyToken, requireScope('posts:export'), exportPostsToCSV);
 
 module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const {
+  getTags,
+  renameTag
+} = require('../controllers/tagController');
+const verifyToken = require('../middleware/auth');
+const { requirePermission, isActiveUser } = require('../middleware/roleAuth');
+const { requireSession } = require('../middleware/apiScope');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: List tags used by published posts with usage counts
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *         description: Maximum number of tags, most used first
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Tags retrieved successfully"
+ *               data:
+ *                 tags:
+ *                   - name: "nodejs"
+ *                     count: 12
+ *                   - name: "mongodb"
+ *                     count: 5
+ */
+router.get('/', getTags);
+
+/**
+ * @swagger
+ * /api/tags/{tag}:
+ *   put:
+ *     summary: Rename or merge a tag across every post (requires tag.manage permission)
+ *     description: Renaming onto a tag that already exists merges the two; posts carrying both keep a single copy.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Current tag name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 30
+ *                 description: New tag name (normalized like post tags)
+ *           example:
+ *             name: "nodejs"
+ *     responses:
+ *       200:
+ *         description: Tag renamed or merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Tag merged into \"nodejs\""
+ *               data:
+ *                 from: "node-js"
+ *                 to: "nodejs"
+ *                 merged: true
+ *                 postsUpdated: 3
+ *       400:
+ *         description: Missing, invalid or unchanged tag name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No post uses this tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:tag', verifyToken, requireSession, isActiveUser, requirePermission('tag.manage'), renameTag);
+
+module.exports = router;
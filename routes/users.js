@@ -4,11 +4,40 @@ const {
   getUserById,
   getAllUsers,
   updateProfile,
+  changePassword,
+  exportProfileData,
+  deleteProfile,
   updateUserStatus,
+  updateUserRole,
+  createUser,
+  updateUser,
+  forcePasswordReset,
+  deleteUser,
+  mergeUser,
+  unlockUser,
   getUserStats
 } = require('../controllers/userController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} = require('../controllers/twoFactorController');
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const {
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSessions
+} = require('../controllers/sessionController');
+const { getMyBookmarks } = require('../controllers/postReactionController');
 const verifyToken = require('../middleware/auth');
-const { isAdmin, isActiveUser } = require('../middleware/roleAuth');
+const { requirePermission, isActiveUser } = require('../middleware/roleAuth');
+const { requireScope, requireSession } = require('../middleware/apiScope');
 
 const router = express.Router();
 
@@ -17,9 +46,11 @@ const router = express.Router();
  * /api/users/profile:
  *   get:
  *     summary: Get current user profile
+ *     description: API keys need the `profile:read` scope.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Profile retrieved successfully
@@ -43,16 +74,18 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/profile', verifyToken, isActiveUser, getProfile);
+router.get('/profile', verifyToken, requireScope('profile:read'), isActiveUser, getProfile);
 
 /**
  * @swagger
  * /api/users/profile:
  *   put:
  *     summary: Update current user profile
+ *     description: API keys need the `profile:write` scope.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -65,7 +98,7 @@ router.get('/profile', verifyToken, isActiveUser, getProfile);
  *                 description: User's full name
  *               email:
  *                 type: string
- *                 description: User's email address
+ *                 description: User's email address (changing it requires verifying the new address)
  *           example:
  *             fullName: "John Smith"
  *             email: "john.smith@example.com"
@@ -97,231 +130,252 @@ router.get('/profile', verifyToken, isActiveUser, getProfile);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.put('/profile', verifyToken, isActiveUser, updateProfile);
-
-/**
- * @swagger
- * /api/users/stats:
- *   get:
- *     summary: Get user statistics (Admin only)
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: Soft delete. The account is signed out everywhere and purged after the grace period (ACCOUNT_DELETION_GRACE_DAYS); logging in again before then cancels the deletion. On purge, posts are anonymized or removed with their thumbnails according to ACCOUNT_DELETION_POST_POLICY. Requires a logged-in session.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password, to confirm the deletion
+ *           example:
+ *             password: "password123"
  *     responses:
  *       200:
- *         description: User statistics retrieved successfully
+ *         description: Account scheduled for deletion
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "User statistics retrieved successfully"
- *                 data:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                       example: 25
- *                     byRole:
- *                       type: object
- *                       properties:
- *                         admin:
- *                           type: integer
- *                           example: 2
- *                         user:
- *                           type: integer
- *                           example: 23
- *                     byStatus:
- *                       type: object
- *                       properties:
- *                         active:
- *                           type: integer
- *                           example: 22
- *                         inactive:
- *                           type: integer
- *                           example: 3
- *                     newThisMonth:
- *                       type: integer
- *                       example: 5
- *       401:
- *         description: Unauthorized
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Account scheduled for deletion. Log in again within 30 days to cancel."
+ *               data:
+ *                 deletionScheduledFor: "2023-08-19T10:30:00.000Z"
+ *                 postPolicy: "anonymize"
+ *       400:
+ *         description: Missing password, or the last active admin tried to leave
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       403:
- *         description: Forbidden - Admin only
+ *       401:
+ *         description: Unauthorized or incorrect password
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/stats', verifyToken, isActiveUser, isAdmin, getUserStats);
+router.put('/profile', verifyToken, requireScope('profile:write'), isActiveUser, updateProfile);
+router.delete('/profile', verifyToken, requireSession, isActiveUser, deleteProfile);
 
 /**
  * @swagger
- * /api/users:
+ * /api/users/profile/export:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Download all personal data of the current user
+ *     description: Profile, every authored post, sessions, API key metadata and uploaded thumbnails. ZIP contains one JSON file per data set plus a thumbnails folder; JSON inlines thumbnails as base64. Requires a logged-in session.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of users per page
- *       - in: query
- *         name: role
- *         schema:
- *           type: string
- *           enum: [admin, user]
- *         description: Filter by user role
- *       - in: query
- *         name: search
+ *         name: format
  *         schema:
  *           type: string
- *         description: Search in username, fullName, and email
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: boolean
- *         description: Filter by user status
+ *           enum: [zip, json]
+ *           default: zip
+ *         description: Bundle format
  *     responses:
  *       200:
- *         description: Users retrieved successfully
+ *         description: Data export file
  *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
  *           application/json:
  *             schema:
  *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Users retrieved successfully"
- *                 data:
- *                   type: object
- *                   properties:
- *                     users:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/User'
- *                     pagination:
- *                       type: object
- *                       properties:
- *                         currentPage:
- *                           type: integer
- *                         totalPages:
- *                           type: integer
- *                         totalUsers:
- *                           type: integer
- *                         hasNext:
- *                           type: boolean
- *                         hasPrev:
- *                           type: boolean
- *                         limit:
- *                           type: integer
+ *       400:
+ *         description: Invalid format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       403:
- *         description: Forbidden - Admin only
+ */
+router.get('/profile/export', verifyToken, requireSession, isActiveUser, exportProfileData);
+
+/**
+ * @swagger
+ * /api/users/profile/password:
+ *   put:
+ *     summary: Change current user password
+ *     description: Requires the current password. All tokens issued before the change are invalidated and a new token pair is returned. API keys stay valid; revoke them separately if they may be compromised.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 description: Current password
+ *               newPassword:
+ *                 type: string
+ *                 description: New password; must satisfy the password policy
+ *                 minLength: 8
+ *           example:
+ *             currentPassword: "password123"
+ *             newPassword: "n3w-S3cure-pass"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Password changed successfully"
+ *               data:
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "3f6c1d9e0b8a47c2a1e5d4f7b9c8e2a6..."
+ *                 expiresIn: "15m"
+ *       400:
+ *         description: Missing fields or new password does not meet requirements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Password does not meet requirements"
+ *               errors:
+ *                 - rule: "username"
+ *                   message: "Password must not contain the username"
+ *       401:
+ *         description: Unauthorized or current password is incorrect
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', verifyToken, isActiveUser, isAdmin, getAllUsers);
+router.put('/profile/password', verifyToken, requireSession, isActiveUser, changePassword);
 
 /**
  * @swagger
- * /api/users/{id}:
- *   get:
- *     summary: Get user by ID (Admin only)
+ * /api/users/profile/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a TOTP secret and otpauth:// URI to show as a QR code. 2FA is only enabled after confirming a code.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID
  *     responses:
  *       200:
- *         description: User retrieved successfully
+ *         description: Provisioning data generated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "User retrieved successfully"
- *                 data:
- *                   $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/TwoFactorSetupResponse'
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       403:
- *         description: Forbidden - Admin only
+ */
+router.post('/profile/2fa/setup', verifyToken, requireSession, isActiveUser, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/profile/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: Returns backup codes once. Only their hashes are stored.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again."
+ *               data:
+ *                 backupCodes: ["84c2e-c3a62", "f9816-65621"]
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       404:
- *         description: User not found
+ *       401:
+ *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', verifyToken, isActiveUser, isAdmin, getUserById);
+router.post('/profile/2fa/enable', verifyToken, requireSession, isActiveUser, enableTwoFactor);
 
 /**
  * @swagger
- * /api/users/{id}/status:
- *   put:
- *     summary: Update user status (Admin only)
+ * /api/users/profile/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed when 2FA is mandatory for the user's role.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID
  *     requestBody:
  *       required: true
  *       content:
@@ -329,54 +383,1263 @@ router.get('/:id', verifyToken, isActiveUser, isAdmin, getUserById);
  *           schema:
  *             type: object
  *             required:
- *               - isActive
+ *               - currentPassword
+ *               - code
  *             properties:
- *               isActive:
- *                 type: boolean
- *                 description: User active status
- *           example:
- *             isActive: false
+ *               currentPassword:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: TOTP code or backup code
  *     responses:
  *       200:
- *         description: User status updated successfully
+ *         description: Two-factor authentication disabled
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "User deactivated successfully"
- *                 data:
- *                   $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/ApiResponse'
  *       400:
- *         description: Bad request
+ *         description: Missing fields or 2FA not enabled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Unauthorized
+ *         description: Invalid password or code
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden - Admin only
+ *         description: Two-factor authentication is mandatory for this role
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       404:
- *         description: User not found
+ */
+router.post('/profile/2fa/disable', verifyToken, requireSession, isActiveUser, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/profile/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate two-factor backup codes
+ *     description: Invalidates all previous backup codes.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: TOTP code or backup code
+ *     responses:
+ *       200:
+ *         description: Backup codes regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Missing code or 2FA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/profile/2fa/backup-codes', verifyToken, requireSession, isActiveUser, regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /api/users/profile/api-keys:
+ *   post:
+ *     summary: Create a personal API key
+ *     description: The key is returned once and only its hash is stored. Send it in the X-API-Key header. Requires a logged-in session.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [posts:read, posts:write, posts:export, profile:read, profile:write, users:read, users:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry date
+ *           example:
+ *             name: "CI export job"
+ *             scopes: ["posts:export"]
+ *             expiresAt: "2025-12-31T00:00:00.000Z"
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "API key created successfully. Copy it now; it will not be shown again."
+ *               data:
+ *                 id: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *                 name: "CI export job"
+ *                 key: "pms_6f1c2d3e4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3b"
+ *                 prefix: "pms_6f1c2d3e"
+ *                 scopes: ["posts:export"]
+ *                 expiresAt: "2025-12-31T00:00:00.000Z"
+ *       400:
+ *         description: Missing name, invalid scopes or invalid expiry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List personal API keys
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "API keys retrieved successfully"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/profile/api-keys', verifyToken, requireSession, isActiveUser, createApiKey);
+router.get('/profile/api-keys', verifyToken, requireSession, isActiveUser, getApiKeys);
+
+/**
+ * @swagger
+ * /api/users/profile/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke a personal API key
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/profile/api-keys/:keyId', verifyToken, requireSession, isActiveUser, revokeApiKey);
+
+/**
+ * @swagger
+ * /api/users/profile/sessions:
+ *   get:
+ *     summary: List devices and browsers where the current user is logged in
+ *     description: Requires a logged-in session. The session making the request is flagged with `current`.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Sessions retrieved successfully"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/profile/sessions', verifyToken, requireSession, isActiveUser, getMySessions);
+
+/**
+ * @swagger
+ * /api/users/profile/bookmarks:
+ *   get:
+ *     summary: Get the current user's reading list
+ *     description: Bookmarked posts, most recently bookmarked first. Posts that were unpublished or deleted are left out. API keys need the `profile:read` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Bookmarks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Bookmarks retrieved successfully"
+ *               data:
+ *                 bookmarks:
+ *                   - bookmarkedAt: "2023-07-21T09:00:00.000Z"
+ *                     post:
+ *                       _id: "60f7b3b3b3b3b3b3b3b3b3b5"
+ *                       title: "Getting started with Node.js"
+ *                       category: "tech"
+ *                       likeCount: 12
+ *                       likedByMe: true
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalBookmarks: 1
+ *                   hasNext: false
+ *                   hasPrev: false
+ *                   limit: 10
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/profile/bookmarks', verifyToken, requireScope('profile:read'), isActiveUser, getMyBookmarks);
+
+/**
+ * @swagger
+ * /api/users/profile/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of the current user's sessions
+ *     description: Revokes the session and its refresh token; access tokens of that session stop working immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/profile/sessions/:sessionId', verifyToken, requireSession, isActiveUser, revokeMySession);
+
+/**
+ * @swagger
+ * /api/users/stats:
+ *   get:
+ *     summary: Get user statistics (requires user.read permission)
+ *     description: API keys need the `users:read` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: User statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User statistics retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 25
+ *                     byRole:
+ *                       type: object
+ *                       properties:
+ *                         admin:
+ *                           type: integer
+ *                           example: 2
+ *                         user:
+ *                           type: integer
+ *                           example: 23
+ *                     byStatus:
+ *                       type: object
+ *                       properties:
+ *                         active:
+ *                           type: integer
+ *                           example: 22
+ *                         inactive:
+ *                           type: integer
+ *                           example: 3
+ *                     newThisMonth:
+ *                       type: integer
+ *                       example: 5
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/stats', verifyToken, requireScope('users:read'), isActiveUser, requirePermission('user.read'), getUserStats);
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Get all users (requires user.read permission)
+ *     description: API keys need the `users:read` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of users per page
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by user role name (e.g. admin, user)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in username, fullName, and email
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by user status
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [offset, cursor]
+ *           default: offset
+ *         description: Pagination mode. In cursor mode page is ignored, no totals are counted and the response carries nextCursor/prevCursor
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor from a previous cursor-mode response (implies pagination=cursor; keep the same filters)
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Users retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         currentPage:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                         totalUsers:
+ *                           type: integer
+ *                         hasNext:
+ *                           type: boolean
+ *                         hasPrev:
+ *                           type: boolean
+ *                         limit:
+ *                           type: integer
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Cursor mode only
+ *                         prevCursor:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Cursor mode only
+ *       400:
+ *         description: Unknown pagination mode or invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', verifyToken, requireScope('users:read'), isActiveUser, requirePermission('user.read'), getAllUsers);
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a user (requires user.create permission)
+ *     description: With a password the user can log in right away and receives an email verification link. Without a password an invitation email with a set-password link is sent (valid ACCOUNT_INVITE_TTL_HOURS). Any role other than the default `user` also requires the user.role.write permission. API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - email
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Initial password; omit to send an invitation instead
+ *               fullName:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 default: user
+ *           example:
+ *             username: "new_editor"
+ *             email: "editor@example.com"
+ *             fullName: "New Editor"
+ *             role: "admin"
+ *     responses:
+ *       201:
+ *         description: User created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "User created and invitation sent"
+ *               data:
+ *                 id: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                 username: "new_editor"
+ *                 email: "editor@example.com"
+ *                 emailVerified: false
+ *                 fullName: "New Editor"
+ *                 role: "admin"
+ *                 isActive: true
+ *                 invited: true
+ *       400:
+ *         description: Validation error, unknown role, username or email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission, or user.role.write missing for a non-default role, or the role has permissions the caller lacks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.create'), createUser);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID (requires user.read permission)
+ *     description: API keys need the `users:read` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', verifyToken, requireScope('users:read'), isActiveUser, requirePermission('user.read'), getUserById);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Edit a user's profile fields (requires user.update permission)
+ *     description: A changed email must be verified again by the user. Users whose role has permissions the caller lacks can't be edited. Use the role and status endpoints for those fields. API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               fullName:
+ *                 type: string
+ *           example:
+ *             fullName: "John Smith"
+ *             email: "john.smith@example.com"
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error, username or email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission, or the user has permissions the caller lacks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a user immediately (requires user.delete permission)
+ *     description: Posts are anonymized or removed with their thumbnails according to postPolicy (default ACCOUNT_DELETION_POST_POLICY). The last active admin cannot be deleted. API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               postPolicy:
+ *                 type: string
+ *                 enum: [anonymize, delete]
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Invalid postPolicy, own account or last active admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.update'), updateUser);
+router.delete('/:id', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.delete'), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/status:
+ *   put:
+ *     summary: Update user status (requires user.status.write permission)
+ *     description: API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *                 description: User active status
+ *           example:
+ *             isActive: false
+ *     responses:
+ *       200:
+ *         description: User status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User deactivated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request - isActive is not a boolean, own account or the last active admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id/status', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.status.write'), updateUserStatus);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (requires user.role.write permission)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     description: API keys need the `users:write` scope.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: Name of an existing role
+ *           example:
+ *             role: "moderator"
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User role changed to moderator successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request - missing/unknown role, own account or demoting the last active admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission, or the new or current role has permissions the caller lacks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id/role', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.role.write'), updateUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked by failed login attempts (requires user.unlock permission)
+ *     description: API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "User account unlocked successfully"
+ *               data:
+ *                 id: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                 username: "john_doe"
+ *                 wasLocked: true
+ *                 failedAttempts: 5
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/unlock', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.unlock'), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/password-reset:
+ *   post:
+ *     summary: Force a password reset (requires user.password.reset permission)
+ *     description: The current password stops working, every session is signed out, all of the user's API keys are revoked and the user is emailed a reset link. API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Password reset forced
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: User has no email address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/password-reset', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.password.reset'), forcePasswordReset);
+
+/**
+ * @swagger
+ * /api/users/{id}/merge:
+ *   post:
+ *     summary: Merge a user into another account (requires user.delete permission)
+ *     description: Every post, comment and revision of user {id} moves to the target user, then user {id} is removed. The target must be active and not scheduled for deletion. API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetUserId
+ *             properties:
+ *               targetUserId:
+ *                 type: string
+ *                 description: Account that keeps the posts
+ *     responses:
+ *       200:
+ *         description: Users merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Users merged successfully"
+ *               data:
+ *                 removedUserId: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                 movedPosts: 12
+ *       400:
+ *         description: Missing target, same account, own account, last active admin, or an inactive or deletion-scheduled target
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/merge', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.delete'), mergeUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (requires user.read permission)
+ *     description: API keys need the `users:read` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Sessions retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         username:
+ *                           type: string
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Sign a user out of every session (requires user.status.write permission)
+ *     description: API keys need the `users:write` scope. The user's API keys are not affected.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Sessions revoked successfully"
+ *               data:
+ *                 revoked: 3
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/sessions', verifyToken, requireScope('users:read'), isActiveUser, requirePermission('user.read'), getUserSessions);
+router.delete('/:id/sessions', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.status.write'), revokeUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: End one session of a user (requires user.status.write permission)
+ *     description: API keys need the `users:write` scope.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - missing permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User or session not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id/status', verifyToken, isActiveUser, isAdmin, updateUserStatus);
+router.delete('/:id/sessions/:sessionId', verifyToken, requireScope('users:write'), isActiveUser, requirePermission('user.status.write'), revokeUserSessions);
 
 module.exports = router;
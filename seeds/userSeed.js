@@ -1,7 +1,8 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
-const bcrypt = require('bcrypt');
 const User = require('../models/User');
+const { hashPassword } = require('../services/passwordService');
+const { ensureDefaultRoles } = require('../services/permissionService');
 
 // Sample users data
 const usersData = [
@@ -11,7 +12,8 @@ const usersData = [
     role: 'admin',
     email: 'admin@postmanagement.com',
     fullName: 'System Administrator',
-    isActive: true
+    isActive: true,
+    emailVerified: true
   },
   {
     username: 'john_doe',
@@ -19,7 +21,8 @@ const usersData = [
     role: 'user',
     email: 'john@example.com',
     fullName: 'John Doe',
-    isActive: true
+    isActive: true,
+    emailVerified: true
   },
   {
     username: 'jane_smith',
@@ -27,7 +30,8 @@ const usersData = [
     role: 'user',
     email: 'jane@example.com',
     fullName: 'Jane Smith',
-    isActive: true
+    isActive: true,
+    emailVerified: true
   },
   {
     username: 'tech_writer',
@@ -35,7 +39,8 @@ const usersData = [
     role: 'user',
     email: 'writer@techblog.com',
     fullName: 'Tech Writer',
-    isActive: true
+    isActive: true,
+    emailVerified: true
   },
   {
     username: 'lifestyle_blogger',
@@ -43,7 +48,8 @@ const usersData = [
     role: 'user',
     email: 'blogger@lifestyle.com',
     fullName: 'Lifestyle Blogger',
-    isActive: true
+    isActive: true,
+    emailVerified: true
   }
 ];
 
@@ -57,6 +63,9 @@ const seedUsers = async () => {
     });
     console.log('✅ Connected to MongoDB for seeding');
 
+    // Users reference roles, so the built-in roles must exist first
+    await ensureDefaultRoles();
+
     console.log('🌱 Starting user seeding process...');
 
     for (const userData of usersData) {
@@ -69,8 +78,7 @@ const seedUsers = async () => {
       }
 
       // Hash password
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
+      const hashedPassword = await hashPassword(userData.password);
 
       // Create new user
       const newUser = new User({
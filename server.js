@@ -7,13 +7,25 @@ const path = require('path');
 const { connectMongoDB, connectRedis } = require('./config/database');
 const { logger, morganConfig } = require('./middleware/logger');
 const { setRedisClient } = require('./controllers/postController');
+const { setRedisClient: setCacheStoreRedisClient } = require('./services/cacheStore');
 const { swaggerUi, specs } = require('./config/swagger');
 const { testEmailConfig } = require('./services/emailService');
+const { ensureDefaultRoles } = require('./services/permissionService');
+const { startAccountPurgeJob } = require('./services/accountDeletionService');
+const { backfillPostStatus, startPostPublishJob } = require('./services/postPublishService');
+const { ensureDefaultCategories } = require('./services/categoryService');
+const { backfillPostSlugs } = require('./services/postSlugService');
+const { backfillRenderedContent } = require('./services/postContentService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const inviteRoutes = require('./routes/invites');
+const commentRoutes = require('./routes/comments');
+const tagRoutes = require('./routes/tags');
+const categoryRoutes = require('./routes/categories');
 
 // Initialize Express app
 const app = express();
@@ -71,7 +83,12 @@ app.get('/api-docs/swagger.json', (req, res) => {
 // Routes
 app.use('/api', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/posts/:id/comments', commentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/categories', categoryRoutes);
 
 /**
  * @swagger
@@ -273,12 +290,36 @@ const startServer = async () => {
   try {
     // Connect to MongoDB
     await connectMongoDB();
+
+    // Make sure the built-in admin/user roles exist
+    await ensureDefaultRoles();
+
+    // Seed the categories posts used before they were configurable
+    await ensureDefaultCategories();
+
+    // Posts from before the status field are public
+    await backfillPostStatus();
+
+    // Posts from before slugs need one for /api/posts/slug/:slug
+    await backfillPostSlugs();
+
+    // Posts from before content rendering need their HTML, excerpt and reading time
+    await backfillRenderedContent();
     
     // Connect to Redis (optional)
     const redisClient = await connectRedis();
     if (redisClient) {
       setRedisClient(redisClient);
-    }      // Start HTTP server
+      setCacheStoreRedisClient(redisClient);
+    }
+
+    // Purge accounts whose deletion grace period has passed
+    startAccountPurgeJob();
+
+    // Publish scheduled posts when they come due
+    startPostPublishJob();
+
+    // Start HTTP server
     app.listen(PORT, () => {
       const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
       console.log(`🚀 Server is running on port ${PORT}`);
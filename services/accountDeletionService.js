@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const cacheStore = require('./cacheStore');
+const { revokeAllForUser, generateRandomToken } = require('./tokenService');
+const { hashPassword } = require('./passwordService');
+const { invalidateAuthUser } = require('./userCacheService');
+const { deletePostRevisions, transferRevisionEditor } = require('./postRevisionService');
+const { removeComment, deletePostComments } = require('./commentService');
+const {
+  deletePostReactions,
+  deleteUserLikes,
+  transferUserReactions
+} = require('./postReactionService');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+// 'anonymize' keeps posts under a placeholder author; 'delete' removes posts and thumbnails
+const ACCOUNT_DELETION_POST_POLICY = process.env.ACCOUNT_DELETION_POST_POLICY === 'delete' ? 'delete' : 'anonymize';
+const ACCOUNT_PURGE_INTERVAL_MS = (parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Mark the account for deletion and sign it out everywhere
+const scheduleAccountDeletion = async (userId) => {
+  const deletionRequestedAt = new Date();
+  const deletionScheduledFor = new Date(deletionRequestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { deletionRequestedAt, deletionScheduledFor },
+    { new: true }
+  ).select('-password');
+
+  if (user) {
+    await revokeAllForUser(userId);
+    await invalidateAuthUser(userId);
+  }
+
+  return user;
+};
+
+// Logging in during the grace period keeps the account; returns whether a deletion was cancelled
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    return false;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { deletionRequestedAt: null, deletionScheduledFor: null }
+  );
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await invalidateAuthUser(user._id);
+
+  console.log(`♻️ Account deletion cancelled by login: ${user.username}`);
+  return true;
+};
+
+const removeThumbnail = (thumbnail) => {
+  const thumbnailPath = path.join(__dirname, '..', thumbnail);
+  if (fs.existsSync(thumbnailPath)) {
+    fs.unlinkSync(thumbnailPath);
+  }
+};
+
+// Apply a deletion policy to one account (after its grace period, or when an admin deletes it)
+const purgeAccount = async (user, postPolicy = ACCOUNT_DELETION_POST_POLICY) => {
+  const posts = await Post.find({ author: user._id }).select('thumbnail').lean();
+
+  if (postPolicy === 'delete') {
+    posts.forEach(post => {
+      if (post.thumbnail) {
+        removeThumbnail(post.thumbnail);
+      }
+    });
+    await Post.deleteMany({ author: user._id });
+    await deletePostRevisions(posts.map(post => post._id));
+    await deletePostComments(posts.map(post => post._id));
+    await deletePostReactions(posts.map(post => post._id));
+
+    // Comments elsewhere go too; ones with replies stay as content-free placeholders
+    const comments = await Comment.find({ author: user._id, deletedAt: null }).select('_id');
+    for (const comment of comments) {
+      await removeComment(comment);
+    }
+
+    // Anonymized accounts keep their likes so like counts stay meaningful
+    await deleteUserLikes(user._id);
+  }
+
+  await Promise.all([
+    Bookmark.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id })
+  ]);
+
+  if (postPolicy === 'delete') {
+    await User.deleteOne({ _id: user._id });
+  } else {
+    // Keep a personal-data-free placeholder so remaining posts still have an author
+    await User.updateOne({ _id: user._id }, {
+      username: `deleted_${user._id.toString().substring(2)}`,
+      password: await hashPassword(generateRandomToken(32)),
+      email: null,
+      emailVerified: false,
+      emailVerificationTokenHash: null,
+      emailVerificationExpires: null,
+      passwordResetTokenHash: null,
+      passwordResetExpires: null,
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorBackupCodes: [],
+      twoFactorLastUsedStep: null,
+      oidcIssuer: null,
+      oidcSubject: null,
+      fullName: null,
+      role: 'user',
+      isActive: false,
+      deletionScheduledFor: null
+    });
+  }
+
+  await invalidateAuthUser(user._id);
+  await cacheStore.delByPrefix('posts:');
+  await Promise.all(posts.map(post => cacheStore.del(`post:${post._id}`)));
+
+  console.log(`🗑️ Account ${user.username} purged (${postPolicy}, ${posts.length} post(s))`);
+};
+
+// Move every post of one account to another, then remove the source account
+const mergeAccounts = async (sourceUser, targetUser) => {
+  const posts = await Post.find({ author: sourceUser._id }).select('_id').lean();
+
+  await Post.updateMany({ author: sourceUser._id }, { author: targetUser._id });
+  await Comment.updateMany({ author: sourceUser._id }, { author: targetUser._id });
+  await transferRevisionEditor(sourceUser._id, targetUser._id);
+  await transferUserReactions(sourceUser._id, targetUser._id);
+  await Promise.all(posts.map(post => cacheStore.del(`post:${post._id}`)));
+
+  await purgeAccount(sourceUser, 'delete');
+
+  return posts.length;
+};
+
+// Purge every account whose grace period has passed
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('username');
+
+  for (const user of dueUsers) {
+    try {
+      await purgeAccount(user);
+    } catch (error) {
+      console.error(`❌ Error purging account ${user.username}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+// Run the purge now and then periodically
+const startAccountPurgeJob = () => {
+  const run = () => {
+    purgeDueAccounts().catch(error => console.error('❌ Account purge job error:', error));
+  };
+
+  run();
+  const timer = setInterval(run, ACCOUNT_PURGE_INTERVAL_MS);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  ACCOUNT_DELETION_POST_POLICY,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  mergeAccounts,
+  purgeDueAccounts,
+  startAccountPurgeJob
+};
@@ -0,0 +1,63 @@
+const ApiKey = require('../models/ApiKey');
+const { hashToken, generateRandomToken } = require('./tokenService');
+const { getAuthUser } = require('./userCacheService');
+
+const API_KEY_PREFIX = 'pms_';
+
+// Create a key for a user; the plain key is only returned here, never stored
+const createApiKey = async (userId, { name, scopes, expiresAt }) => {
+  const key = `${API_KEY_PREFIX}${generateRandomToken(24)}`;
+
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    keyHash: hashToken(key),
+    prefix: key.substring(0, API_KEY_PREFIX.length + 8),
+    scopes,
+    expiresAt: expiresAt || null
+  });
+
+  return { apiKey, key };
+};
+
+// Resolve a presented key to { apiKey, user }, or null if unusable
+const authenticateApiKey = async (key) => {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null
+  });
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  const user = await getAuthUser(apiKey.user);
+  if (!user) {
+    return null;
+  }
+
+  // Track usage without holding up the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+    .catch(error => console.error('API key lastUsedAt update error:', error));
+
+  return { apiKey, user };
+};
+
+// Revoke every active key of a user whose account may have been taken over
+const revokeApiKeysForUser = async (userId) => {
+  const result = await ApiKey.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createApiKey,
+  authenticateApiKey,
+  revokeApiKeysForUser
+};
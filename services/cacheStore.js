@@ -0,0 +1,99 @@
+// Small JSON key/value store for services that need shared state.
+// Uses Redis when available and falls back to process memory otherwise.
+
+let redisClient = null;
+const setRedisClient = (client) => {
+  redisClient = client;
+};
+
+// In-memory fallback store: key -> { value, expiresAt }
+const memoryStore = new Map();
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+const getJSON = async (key) => {
+  if (redisClient) {
+    try {
+      const data = await redisClient.get(key);
+      return data ? JSON.parse(data) : null;
+    } catch (cacheError) {
+      console.error('Cache get error:', cacheError);
+    }
+  }
+
+  const entry = memoryStore.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const setJSON = async (key, value, ttlSeconds) => {
+  if (redisClient) {
+    try {
+      await redisClient.setEx(key, ttlSeconds, JSON.stringify(value));
+      return;
+    } catch (cacheError) {
+      console.error('Cache set error:', cacheError);
+    }
+  }
+
+  // Sweep expired entries so keys that are never read again don't pile up
+  if (memoryStore.size > MEMORY_SWEEP_THRESHOLD) {
+    const now = Date.now();
+    for (const [storedKey, entry] of memoryStore) {
+      if (entry.expiresAt <= now) {
+        memoryStore.delete(storedKey);
+      }
+    }
+  }
+
+  // Round-trip through JSON so memory and Redis return the same shapes
+  memoryStore.set(key, {
+    value: JSON.parse(JSON.stringify(value)),
+    expiresAt: Date.now() + ttlSeconds * 1000
+  });
+};
+
+const del = async (key) => {
+  if (redisClient) {
+    try {
+      await redisClient.del(key);
+    } catch (cacheError) {
+      console.error('Cache delete error:', cacheError);
+    }
+  }
+
+  memoryStore.delete(key);
+};
+
+// Delete every key starting with a prefix, e.g. "posts:"
+const delByPrefix = async (prefix) => {
+  if (redisClient) {
+    try {
+      const keys = await redisClient.keys(`${prefix}*`);
+      if (keys.length > 0) {
+        await redisClient.del(keys);
+      }
+    } catch (cacheError) {
+      console.error('Cache clear error:', cacheError);
+    }
+  }
+
+  for (const key of memoryStore.keys()) {
+    if (key.startsWith(prefix)) {
+      memoryStore.delete(key);
+    }
+  }
+};
+
+module.exports = {
+  setRedisClient,
+  getJSON,
+  setJSON,
+  del,
+  delByPrefix
+};
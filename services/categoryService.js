@@ -0,0 +1,98 @@
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const cacheStore = require('./cacheStore');
+
+// The categories posts used before they were managed in the database
+const DEFAULT_CATEGORIES = [
+  { slug: 'tech', name: 'Tech' },
+  { slug: 'lifestyle', name: 'Lifestyle' },
+  { slug: 'business', name: 'Business' },
+  { slug: 'education', name: 'Education' },
+  { slug: 'health', name: 'Health' },
+  { slug: 'entertainment', name: 'Entertainment' },
+  { slug: 'other', name: 'Other' }
+].map((category, index) => ({ ...category, sortOrder: index }));
+
+// Every post create/update and filtered listing looks categories up, so keep them briefly in memory
+let categoryCache = null;
+const CATEGORY_CACHE_TTL_MS = 30 * 1000;
+
+// Seed the default categories on first start only, so admins can delete them later
+const ensureDefaultCategories = async () => {
+  if (await Category.exists({})) {
+    return;
+  }
+
+  await Category.insertMany(DEFAULT_CATEGORIES, { ordered: false }).catch(error => {
+    // Another instance seeded at the same time
+    if (error.code !== 11000) {
+      throw error;
+    }
+  });
+  console.log(`🗂️ Created default categories: ${DEFAULT_CATEGORIES.map(category => category.slug).join(', ')}`);
+};
+
+// All categories, archived ones included, in display order
+const getCategories = async () => {
+  if (categoryCache && categoryCache.expiresAt > Date.now()) {
+    return categoryCache.categories;
+  }
+
+  const categories = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+  categoryCache = { categories, expiresAt: Date.now() + CATEGORY_CACHE_TTL_MS };
+  return categories;
+};
+
+const invalidateCategoryCache = () => {
+  categoryCache = null;
+};
+
+// Find a category by its slug or a slug it had before a rename
+const resolveCategory = async (slug) => {
+  const normalizedSlug = String(slug).trim().toLowerCase();
+  const categories = await getCategories();
+
+  return categories.find(category => category.slug === normalizedSlug)
+    || categories.find(category => category.previousSlugs.includes(normalizedSlug))
+    || null;
+};
+
+// Check a category chosen for a post; returns { category } or { error }.
+// A post may keep the (possibly archived) category it already has.
+const checkPostCategory = async (slug, currentSlug = null) => {
+  const category = await resolveCategory(slug);
+
+  if (!category) {
+    return { error: `Category '${slug}' does not exist` };
+  }
+  if (category.archived && category.slug !== currentSlug) {
+    return { error: `Category '${category.slug}' is archived` };
+  }
+
+  return { category };
+};
+
+// Move every post from one slug to another after a rename
+const renameCategoryOnPosts = async (fromSlug, toSlug) => {
+  const posts = await Post.find({ category: fromSlug }).select('_id').lean();
+  if (posts.length === 0) {
+    return 0;
+  }
+
+  await Post.updateMany({ category: fromSlug }, { category: toSlug });
+
+  await cacheStore.delByPrefix('posts:');
+  await Promise.all(posts.map(post => cacheStore.del(`post:${post._id}`)));
+
+  return posts.length;
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  ensureDefaultCategories,
+  getCategories,
+  invalidateCategoryCache,
+  resolveCategory,
+  checkPostCategory,
+  renameCategoryOnPosts
+};
@@ -0,0 +1,88 @@
+const Comment = require('../models/Comment');
+const { hasPermission } = require('./permissionService');
+
+// Replies deeper than this are rejected so threads stay readable
+const COMMENT_MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 5;
+
+const isSameUser = (user, userRef) => {
+  if (!user || !userRef) {
+    return false;
+  }
+  return (userRef._id || userRef).toString() === user._id.toString();
+};
+
+// The post author and users with comment.moderate may hide comments on a post
+const canModerateComments = async (user, post) => {
+  if (!user) {
+    return false;
+  }
+  return isSameUser(user, post.author) || hasPermission(user, 'comment.moderate');
+};
+
+// Hidden comments stay readable to moderators and their own author; deleted ones to nobody
+const formatComment = (comment, viewer, canModerate) => {
+  const showContent = !comment.deletedAt &&
+    (!comment.hiddenAt || canModerate || isSameUser(viewer, comment.author));
+
+  return {
+    _id: comment._id,
+    parent: comment.parent,
+    depth: comment.depth,
+    author: comment.deletedAt ? null : comment.author,
+    content: showContent ? comment.content : null,
+    hidden: Boolean(comment.hiddenAt),
+    deleted: Boolean(comment.deletedAt),
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+    replies: []
+  };
+};
+
+// Nest replies under their parents; unreadable comments without readable replies are dropped
+const buildCommentTree = (roots, replies, viewer, canModerate) => {
+  const nodes = new Map();
+  [...roots, ...replies].forEach(comment => {
+    nodes.set(comment._id.toString(), formatComment(comment, viewer, canModerate));
+  });
+
+  // Replies arrive oldest first, so each thread keeps chronological order
+  replies.forEach(reply => {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(nodes.get(reply._id.toString()));
+    }
+  });
+
+  const prune = (list) => list.filter(node => {
+    node.replies = prune(node.replies);
+    return node.content !== null || node.replies.length > 0;
+  });
+
+  return prune(roots.map(root => nodes.get(root._id.toString())));
+};
+
+// Remove a comment, keeping a content-free placeholder when replies hang off it
+const removeComment = async (comment) => {
+  const hasReplies = await Comment.exists({ parent: comment._id });
+
+  if (hasReplies) {
+    await Comment.updateOne({ _id: comment._id }, { content: '', deletedAt: new Date() });
+  } else {
+    await Comment.deleteOne({ _id: comment._id });
+  }
+
+  return { softDeleted: Boolean(hasReplies) };
+};
+
+// Remove every comment on the given posts
+const deletePostComments = async (postIds) => {
+  await Comment.deleteMany({ post: { $in: [].concat(postIds) } });
+};
+
+module.exports = {
+  COMMENT_MAX_DEPTH,
+  canModerateComments,
+  buildCommentTree,
+  removeComment,
+  deletePostComments
+};
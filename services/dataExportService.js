@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostLike = require('../models/PostLike');
+const Bookmark = require('../models/Bookmark');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+
+const THUMBNAIL_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+// Everything stored about a user; secrets and token hashes are never included
+const collectUserData = async (userId) => {
+  const [user, posts, comments, likes, bookmarks, sessions, apiKeys] = await Promise.all([
+    User.findById(userId).select('-password').lean(),
+    Post.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+    Comment.find({ author: userId, deletedAt: null }).select('-__v').sort({ createdAt: -1 }).lean(),
+    PostLike.find({ user: userId }).select('post createdAt').sort({ createdAt: -1 }).lean(),
+    Bookmark.find({ user: userId }).select('post createdAt').sort({ createdAt: -1 }).lean(),
+    Session.find({ user: userId }).select('-__v').sort({ createdAt: -1 }).lean(),
+    ApiKey.find({ user: userId }).select('-__v').sort({ createdAt: -1 }).lean()
+  ]);
+
+  const thumbnails = posts
+    .filter(post => post.thumbnail)
+    .map(post => ({
+      post: post._id,
+      filename: path.basename(post.thumbnail),
+      filePath: path.join(__dirname, '..', post.thumbnail)
+    }))
+    .filter(thumbnail => fs.existsSync(thumbnail.filePath));
+
+  return {
+    exportedAt: new Date(),
+    profile: user,
+    posts,
+    comments,
+    likes,
+    bookmarks,
+    sessions,
+    apiKeys,
+    thumbnails
+  };
+};
+
+// Single JSON document with thumbnails inlined as base64
+const buildJsonExport = async (data) => {
+  return {
+    ...data,
+    thumbnails: await Promise.all(data.thumbnails.map(async ({ post, filename, filePath }) => ({
+      post,
+      filename,
+      contentType: THUMBNAIL_CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream',
+      data: (await fs.promises.readFile(filePath)).toString('base64')
+    })))
+  };
+};
+
+// Stream a ZIP with one JSON file per data set plus the original thumbnail files
+const streamZipExport = (data, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('warning', error => console.error('Data export warning:', error));
+  archive.pipe(output);
+
+  const { thumbnails, ...documents } = data;
+  archive.append(JSON.stringify({ exportedAt: documents.exportedAt }, null, 2), { name: 'export.json' });
+  archive.append(JSON.stringify(documents.profile, null, 2), { name: 'profile.json' });
+  archive.append(JSON.stringify(documents.posts, null, 2), { name: 'posts.json' });
+  archive.append(JSON.stringify(documents.comments, null, 2), { name: 'comments.json' });
+  archive.append(JSON.stringify(documents.likes, null, 2), { name: 'likes.json' });
+  archive.append(JSON.stringify(documents.bookmarks, null, 2), { name: 'bookmarks.json' });
+  archive.append(JSON.stringify(documents.sessions, null, 2), { name: 'sessions.json' });
+  archive.append(JSON.stringify(documents.apiKeys, null, 2), { name: 'api-keys.json' });
+  thumbnails.forEach(({ filename, filePath }) => {
+    archive.file(filePath, { name: `thumbnails/${filename}` });
+  });
+
+  return archive.finalize();
+};
+
+module.exports = {
+  collectUserData,
+  buildJsonExport,
+  streamZipExport
+};
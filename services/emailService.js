@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { escapeHtml } = require('./postContentService');
 
 // Create transporter with Gmail SMTP
 const createTransporter = () => {
@@ -159,10 +160,11 @@ const generateNewPostEmailTemplate = (post, author) => {
         </div>
         
         <div class="post-info">
-          <div class="post-title">${post.title}</div>
+          <div class="post-title">${escapeHtml(post.title)}</div>
           <div class="post-meta">
-            👤 Author: <strong>${author.username}</strong> ${author.fullName ? `(${author.fullName})` : ''}<br>
-            📂 Category: <strong>${post.category}</strong><br>
+            👤 Author: <strong>${escapeHtml(author.username)}</strong> ${author.fullName ? `(${escapeHtml(author.fullName)})` : ''}<br>
+            📂 Category: <strong>${escapeHtml(post.category)}</strong><br>
+            ⏱️ Reading time: <strong>${post.readingTimeMinutes || 1} min</strong><br>
             📅 Published: <strong>${new Date(post.createdAt).toLocaleDateString('en-US', {
               year: 'numeric',
               month: 'long', 
@@ -176,7 +178,7 @@ const generateNewPostEmailTemplate = (post, author) => {
           
           <div class="post-content">
             <strong>Content Preview:</strong><br>
-            ${post.content.length > 200 ? post.content.substring(0, 200) + '...' : post.content}
+            ${post.excerptHtml || ''}
           </div>
         </div>
         
@@ -195,6 +197,186 @@ const generateNewPostEmailTemplate = (post, author) => {
   `;
 };
 
+// Wrap account emails (verification, password reset) in the shared layout
+const generateAccountEmailLayout = (title, heading, bodyHtml) => {
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title}</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+          background-color: #f4f4f4;
+        }
+        .container {
+          background: white;
+          padding: 30px;
+          border-radius: 10px;
+          box-shadow: 0 0 20px rgba(0,0,0,0.1);
+        }
+        .header {
+          text-align: center;
+          color: #2c3e50;
+          border-bottom: 3px solid #3498db;
+          padding-bottom: 20px;
+          margin-bottom: 30px;
+        }
+        .btn {
+          display: inline-block;
+          background: #3498db;
+          color: white;
+          padding: 12px 25px;
+          text-decoration: none;
+          border-radius: 5px;
+          margin: 20px 0;
+          font-weight: bold;
+        }
+        .code {
+          font-family: monospace;
+          background: #ecf0f1;
+          padding: 10px;
+          border-radius: 5px;
+          word-break: break-all;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 30px;
+          color: #7f8c8d;
+          font-size: 0.8em;
+          border-top: 1px solid #ecf0f1;
+          padding-top: 20px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${heading}</h1>
+        </div>
+
+        ${bodyHtml}
+
+        <div class="footer">
+          <p>This email was sent automatically from Post Management System</p>
+          <p>📧 Contact: ${process.env.FROM_EMAIL}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// Generate HTML template for email address verification
+const generateEmailVerificationTemplate = (user, verifyUrl, expiresInHours) => {
+  return generateAccountEmailLayout('Verify Your Email', '✉️ Verify Your Email', `
+        <p>Hi <strong>${escapeHtml(user.username)}</strong>,</p>
+        <p>Please confirm that this is your email address by clicking the button below.</p>
+
+        <div style="text-align: center;">
+          <a href="${verifyUrl}" class="btn">✅ Verify Email</a>
+        </div>
+
+        <p>This link expires in ${expiresInHours} hours and can only be used once.</p>
+        <p>If you did not create an account, you can ignore this email.</p>
+  `);
+};
+
+// Generate HTML template for password reset
+const generatePasswordResetTemplate = (user, resetUrl, token, expiresInMinutes) => {
+  return generateAccountEmailLayout('Reset Your Password', '🔑 Reset Your Password', `
+        <p>Hi <strong>${escapeHtml(user.username)}</strong>,</p>
+        <p>We received a request to reset the password for your account. Click the button below to choose a new password.</p>
+
+        <div style="text-align: center;">
+          <a href="${resetUrl}" class="btn">🔑 Reset Password</a>
+        </div>
+
+        <p>Or send this reset token to <code>POST /api/password/reset</code>:</p>
+        <p class="code">${token}</p>
+
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once. All your active sessions will be signed out after the reset.</p>
+        <p>If you did not request a password reset, you can ignore this email.</p>
+  `);
+};
+
+// Generate HTML template for an account created by an admin
+const generateAccountInviteTemplate = (user, setupUrl, token, expiresInHours) => {
+  return generateAccountEmailLayout('You Have Been Invited', '👋 Welcome Aboard', `
+        <p>Hi <strong>${escapeHtml(user.username)}</strong>,</p>
+        <p>An administrator created an account for you. Click the button below to choose your password and sign in.</p>
+
+        <div style="text-align: center;">
+          <a href="${setupUrl}" class="btn">🔑 Set Password</a>
+        </div>
+
+        <p>Or send this token to <code>POST /api/password/reset</code>:</p>
+        <p class="code">${token}</p>
+
+        <p>This link expires in ${expiresInHours} hours and can only be used once.</p>
+  `);
+};
+
+// Generate HTML template for a password reset required by an admin
+const generateForcedPasswordResetTemplate = (user, resetUrl, token, expiresInMinutes) => {
+  return generateAccountEmailLayout('Password Reset Required', '🔑 Password Reset Required', `
+        <p>Hi <strong>${escapeHtml(user.username)}</strong>,</p>
+        <p>An administrator has reset your password and signed you out of all devices. Click the button below to choose a new password.</p>
+
+        <div style="text-align: center;">
+          <a href="${resetUrl}" class="btn">🔑 Reset Password</a>
+        </div>
+
+        <p>Or send this reset token to <code>POST /api/password/reset</code>:</p>
+        <p class="code">${token}</p>
+
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+  `);
+};
+
+// Generate HTML template for a registration invite
+const generateRegistrationInviteTemplate = (inviter, inviteUrl, code, expiresAt) => {
+  return generateAccountEmailLayout('You Are Invited', '👋 You Are Invited', `
+        <p>Hi,</p>
+        <p><strong>${escapeHtml(inviter.username)}</strong> invited you to create an account. Click the button below to register.</p>
+
+        <div style="text-align: center;">
+          <a href="${inviteUrl}" class="btn">✍️ Create Account</a>
+        </div>
+
+        <p>Or register through <code>POST /api/register</code> with this invite code:</p>
+        <p class="code">${code}</p>
+
+        <p>This invite expires on ${new Date(expiresAt).toUTCString()} and only works with this email address.</p>
+  `);
+};
+
+// Generate HTML template telling a post author about a new comment
+const generateNewCommentTemplate = (postAuthor, post, comment, commenter) => {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  const preview = comment.content.length > 300 ? comment.content.substring(0, 300) + '...' : comment.content;
+
+  return generateAccountEmailLayout('New Comment', '💬 New Comment on Your Post', `
+        <p>Hi <strong>${escapeHtml(postAuthor.username)}</strong>,</p>
+        <p><strong>${escapeHtml(commenter.username)}</strong> ${comment.parent ? 'replied in the discussion on' : 'commented on'} your post <strong>${escapeHtml(post.title)}</strong>:</p>
+
+        <p class="code">${escapeHtml(preview)}</p>
+
+        <div style="text-align: center;">
+          <a href="${baseUrl}/api/posts/${post._id}/comments" class="btn">💬 View Comments</a>
+        </div>
+
+        <p>As the author you can hide comments that don't belong on your post.</p>
+  `);
+};
+
 // Test email configuration
 const testEmailConfig = async () => {
   try {
@@ -212,5 +394,11 @@ module.exports = {
   sendEmail,
   sendBulkEmail,
   generateNewPostEmailTemplate,
+  generateEmailVerificationTemplate,
+  generatePasswordResetTemplate,
+  generateAccountInviteTemplate,
+  generateForcedPasswordResetTemplate,
+  generateRegistrationInviteTemplate,
+  generateNewCommentTemplate,
   testEmailConfig
 };
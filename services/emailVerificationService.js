@@ -0,0 +1,58 @@
+const User = require('../models/User');
+const { hashToken, generateRandomToken } = require('./tokenService');
+const { invalidateAuthUser } = require('./userCacheService');
+const { sendEmail, generateEmailVerificationTemplate } = require('./emailService');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Store a fresh single-use verification token on the user and email the confirmation link
+const startEmailVerification = async (user) => {
+  const token = generateRandomToken(32);
+
+  await User.findByIdAndUpdate(user._id, {
+    emailVerified: false,
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+  });
+  await invalidateAuthUser(user._id);
+
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  const verifyUrl = `${baseUrl}/api/verify-email?token=${token}`;
+
+  // Send in background so SMTP latency doesn't block the request
+  sendEmail(
+    user.email,
+    '✉️ Verify your email address',
+    generateEmailVerificationTemplate(user, verifyUrl, EMAIL_VERIFICATION_TTL_HOURS)
+  ).catch(error => {
+    console.error('❌ Error sending verification email:', error);
+  });
+};
+
+// Consume a verification token; returns the verified user or null
+const confirmEmailVerification = async (token) => {
+  // Matching and clearing in one update keeps the token single-use
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      emailVerified: true,
+      emailVerificationTokenHash: null,
+      emailVerificationExpires: null
+    },
+    { new: true }
+  ).select('-password');
+
+  if (user) {
+    await invalidateAuthUser(user._id);
+  }
+
+  return user;
+};
+
+module.exports = {
+  startEmailVerification,
+  confirmEmailVerification
+};
@@ -0,0 +1,103 @@
+const Invite = require('../models/Invite');
+const { hashToken, generateRandomToken } = require('./tokenService');
+const { sendEmail, generateRegistrationInviteTemplate } = require('./emailService');
+
+// open: anyone may register; invite-only: a valid invite code is required; closed: no self-registration
+const REGISTRATION_MODES = ['open', 'invite-only', 'closed'];
+const REGISTRATION_MODE = (() => {
+  const mode = (process.env.REGISTRATION_MODE || 'open').trim().toLowerCase().replace('_', '-');
+  if (mode === 'invite') {
+    return 'invite-only';
+  }
+  if (!REGISTRATION_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown REGISTRATION_MODE "${process.env.REGISTRATION_MODE}", registration is closed`);
+    return 'closed';
+  }
+  return mode;
+})();
+
+const INVITE_DEFAULT_TTL_DAYS = parseInt(process.env.INVITE_DEFAULT_TTL_DAYS) || 7;
+
+const buildInviteUrl = (code) => {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  return `${process.env.REGISTRATION_INVITE_URL || `${baseUrl}/register`}?invite=${code}`;
+};
+
+// Create an invite; the plain code is only returned here, never stored
+const createInvite = async ({ role, email, maxUses, expiresAt, createdBy }) => {
+  const code = generateRandomToken(10).toUpperCase();
+
+  const invite = await Invite.create({
+    codeHash: hashToken(code),
+    prefix: code.substring(0, 6),
+    role,
+    email: email || null,
+    maxUses,
+    expiresAt: expiresAt || new Date(Date.now() + INVITE_DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdBy: createdBy._id
+  });
+
+  const inviteUrl = buildInviteUrl(code);
+
+  if (invite.email) {
+    // Send in background so SMTP latency doesn't block the request
+    sendEmail(
+      invite.email,
+      '👋 You are invited to join',
+      generateRegistrationInviteTemplate(createdBy, inviteUrl, code, invite.expiresAt)
+    ).catch(error => {
+      console.error('❌ Error sending invite email:', error);
+    });
+  }
+
+  return { invite, code, inviteUrl };
+};
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Check an invite without using it; returns { valid, invite } or { valid: false, message }
+const checkInvite = async (code, email) => {
+  const invite = await Invite.findOne({ codeHash: hashToken(normalizeCode(code)) });
+
+  if (!invite || invite.revokedAt) {
+    return { valid: false, message: 'Invalid invite code' };
+  }
+  if (invite.expiresAt <= new Date()) {
+    return { valid: false, message: 'Invite code has expired' };
+  }
+  if (invite.uses >= invite.maxUses) {
+    return { valid: false, message: 'Invite code has reached its usage limit' };
+  }
+  if (invite.email && invite.email !== String(email).trim().toLowerCase()) {
+    return { valid: false, message: 'This invite was issued for a different email address' };
+  }
+
+  return { valid: true, invite };
+};
+
+// Use up one slot of an invite; the conditional update keeps concurrent registrations within the limit
+const consumeInvite = async (inviteId) => {
+  return Invite.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$uses', '$maxUses'] }
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Give a slot back when registration failed after consuming it
+const releaseInvite = async (inviteId) => {
+  await Invite.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+};
+
+module.exports = {
+  REGISTRATION_MODE,
+  createInvite,
+  checkInvite,
+  consumeInvite,
+  releaseInvite
+};
@@ -0,0 +1,127 @@
+// Failed-login tracking per username and per IP (Redis with in-memory fallback)
+const cacheStore = require('./cacheStore');
+
+const MAX_ATTEMPTS_PER_USER = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_USER) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const ATTEMPT_WINDOW_SECONDS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60;
+const LOCKOUT_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+// Failures allowed before delays kick in, and the cap on a single delay
+const DELAY_AFTER_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 30;
+
+const getUserKey = (username) => `login:fail:user:${String(username).trim().toLowerCase()}`;
+const getIpKey = (ip) => `login:fail:ip:${ip}`;
+
+// Seconds until a record allows another attempt (0 = allowed now)
+const getWaitSeconds = (record, now = Date.now()) => {
+  if (!record) {
+    return 0;
+  }
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return Math.ceil((record.lockedUntil - now) / 1000);
+  }
+
+  // Progressive delay: 1s, 2s, 4s ... after the first few failures. The delay is enforced by
+  // rejecting attempts made too early (429 + Retry-After), not by holding the response open.
+  if (record.count > DELAY_AFTER_ATTEMPTS) {
+    const delaySeconds = Math.min(2 ** (record.count - DELAY_AFTER_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+    const nextAllowedAt = record.lastFailedAt + delaySeconds * 1000;
+    if (nextAllowedAt > now) {
+      return Math.ceil((nextAllowedAt - now) / 1000);
+    }
+  }
+
+  return 0;
+};
+
+// Check whether a login attempt may proceed; returns { allowed, retryAfter }
+const checkLoginAllowed = async (username, ip) => {
+  const [userRecord, ipRecord] = await Promise.all([
+    cacheStore.getJSON(getUserKey(username)),
+    cacheStore.getJSON(getIpKey(ip))
+  ]);
+
+  const retryAfter = Math.max(getWaitSeconds(userRecord), getWaitSeconds(ipRecord));
+
+  return {
+    allowed: retryAfter === 0,
+    retryAfter
+  };
+};
+
+const incrementRecord = async (key, maxAttempts) => {
+  const now = Date.now();
+  const record = (await cacheStore.getJSON(key)) || { count: 0, lockedUntil: null };
+
+  // A lock that has run out starts a fresh window
+  if (record.lockedUntil && record.lockedUntil <= now) {
+    record.count = 0;
+    record.lockedUntil = null;
+  }
+
+  record.count += 1;
+  record.lastFailedAt = now;
+
+  if (record.count >= maxAttempts) {
+    record.lockedUntil = now + LOCKOUT_SECONDS * 1000;
+  }
+
+  const ttlSeconds = record.lockedUntil ? LOCKOUT_SECONDS : ATTEMPT_WINDOW_SECONDS;
+  await cacheStore.setJSON(key, record, ttlSeconds);
+
+  return record;
+};
+
+// Record a failed attempt; returns { locked, retryAfter } for the next attempt
+const recordFailedLogin = async (username, ip) => {
+  const [userRecord, ipRecord] = await Promise.all([
+    incrementRecord(getUserKey(username), MAX_ATTEMPTS_PER_USER),
+    incrementRecord(getIpKey(ip), MAX_ATTEMPTS_PER_IP)
+  ]);
+
+  const now = Date.now();
+  const locked = Boolean(
+    (userRecord.lockedUntil && userRecord.lockedUntil > now) ||
+    (ipRecord.lockedUntil && ipRecord.lockedUntil > now)
+  );
+
+  if (userRecord.count === MAX_ATTEMPTS_PER_USER) {
+    console.warn(`🔒 Account "${username}" temporarily locked after ${userRecord.count} failed login attempts`);
+  }
+
+  return {
+    locked,
+    retryAfter: Math.max(getWaitSeconds(userRecord, now), getWaitSeconds(ipRecord, now))
+  };
+};
+
+// Clear the per-account counter after a successful login
+const clearFailedLogins = async (username) => {
+  await cacheStore.del(getUserKey(username));
+};
+
+// Admin unlock: clears the per-account counter and lock
+const unlockAccount = async (username) => {
+  await cacheStore.del(getUserKey(username));
+};
+
+// Current lock state for an account
+const getAccountLockStatus = async (username) => {
+  const record = await cacheStore.getJSON(getUserKey(username));
+  const now = Date.now();
+
+  return {
+    failedAttempts: record ? record.count : 0,
+    locked: Boolean(record && record.lockedUntil && record.lockedUntil > now),
+    lockedUntil: record && record.lockedUntil > now ? new Date(record.lockedUntil) : null
+  };
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  getAccountLockStatus
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const cacheStore = require('./cacheStore');
+const { generateRandomToken } = require('./tokenService');
+const { hashPassword } = require('./passwordService');
+const { invalidateAuthUser } = require('./userCacheService');
+const { isLastActiveAdmin } = require('./permissionService');
+const { oidcConfig } = require('../config/oidc');
+
+// Time allowed between redirecting to the provider and the callback
+const AUTH_REQUEST_TTL_SECONDS = 10 * 60;
+const DISCOVERY_CACHE_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+// jwks_uri -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+const base64UrlEncode = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fetchJSON = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  return { ok: response.ok, status: response.status, body };
+};
+
+// Provider metadata from /.well-known/openid-configuration
+const getProviderMetadata = async () => {
+  if (discoveryCache && discoveryCache.fetchedAt + DISCOVERY_CACHE_TTL_MS > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const { ok, status, body } = await fetchJSON(`${oidcConfig.issuer}/.well-known/openid-configuration`);
+  if (!ok || !body) {
+    throw new Error(`OIDC discovery failed with status ${status}`);
+  }
+  if (body.issuer !== oidcConfig.issuer) {
+    throw new Error(`OIDC discovery returned issuer ${body.issuer}, expected ${oidcConfig.issuer}`);
+  }
+
+  discoveryCache = { metadata: body, fetchedAt: Date.now() };
+  return body;
+};
+
+// Signing key for an ID token; refetches the key set once when the kid is unknown (key rotation)
+const getSigningKey = async (jwksUri, kid) => {
+  for (const forceRefresh of [false, true]) {
+    let cached = jwksCache.get(jwksUri);
+
+    if (forceRefresh || !cached || cached.fetchedAt + DISCOVERY_CACHE_TTL_MS <= Date.now()) {
+      const { ok, status, body } = await fetchJSON(jwksUri);
+      if (!ok || !body || !Array.isArray(body.keys)) {
+        throw new Error(`OIDC JWKS request failed with status ${status}`);
+      }
+      cached = { keys: body.keys, fetchedAt: Date.now() };
+      jwksCache.set(jwksUri, cached);
+    }
+
+    const jwk = cached.keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  return null;
+};
+
+// Build the provider redirect; state, nonce and PKCE verifier are kept server-side
+const createAuthorizationRequest = async () => {
+  const metadata = await getProviderMetadata();
+
+  const state = generateRandomToken(24);
+  const nonce = generateRandomToken(24);
+  const codeVerifier = base64UrlEncode(crypto.randomBytes(32));
+  const codeChallenge = base64UrlEncode(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await cacheStore.setJSON(`oidc:state:${state}`, { codeVerifier, nonce }, AUTH_REQUEST_TTL_SECONDS);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcConfig.clientId,
+    redirect_uri: oidcConfig.redirectUri,
+    scope: oidcConfig.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Look up and delete a pending request so each state is used once
+const consumeAuthorizationRequest = async (state) => {
+  const key = `oidc:state:${state}`;
+  const pending = await cacheStore.getJSON(key);
+  if (pending) {
+    await cacheStore.del(key);
+  }
+  return pending;
+};
+
+// Exchange an authorization code for tokens; returns null when the provider rejects it
+const exchangeCode = async (code, codeVerifier) => {
+  const metadata = await getProviderMetadata();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: oidcConfig.redirectUri,
+    client_id: oidcConfig.clientId,
+    code_verifier: codeVerifier
+  });
+  if (oidcConfig.clientSecret) {
+    params.set('client_secret', oidcConfig.clientSecret);
+  }
+
+  const { ok, status, body } = await fetchJSON(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: params.toString()
+  });
+
+  if (!ok || !body || !body.id_token) {
+    console.warn(`⚠️ OIDC token exchange failed with status ${status}:`, body && body.error);
+    return null;
+  }
+
+  return body;
+};
+
+// Verify signature, issuer, audience, expiry and nonce; returns the claims
+const verifyIdToken = async (idToken, nonce) => {
+  const metadata = await getProviderMetadata();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('Malformed ID token');
+  }
+
+  const signingKey = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  if (!signingKey) {
+    throw new jwt.JsonWebTokenError('No matching signing key for ID token');
+  }
+
+  const claims = jwt.verify(idToken, signingKey, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: oidcConfig.issuer,
+    audience: oidcConfig.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new jwt.JsonWebTokenError('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Read a possibly nested claim, e.g. "realm_access.roles"
+const getClaim = (claims, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+// First configured mapping whose value appears in the role claim, or null
+const mapClaimsToRole = (claims) => {
+  const claimValue = getClaim(claims, oidcConfig.roleClaim);
+  if (claimValue == null) {
+    return null;
+  }
+
+  const values = (Array.isArray(claimValue) ? claimValue : [claimValue]).map(String);
+  const match = oidcConfig.roleMapping.find(({ claimValue: mapped }) => values.includes(mapped));
+  return match ? match.role : null;
+};
+
+// Derive a free username from the provider's preferred username or email
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || (claims.email && claims.email.split('@')[0]) || 'user';
+  let base = String(source).replace(/[^a-zA-Z0-9_.-]/g, '').substring(0, 24);
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}_${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  return username;
+};
+
+// Find the local user for a set of ID token claims, linking or creating one if needed.
+// Returns { success, user, created, linked } or { success: false, message }.
+const findOrProvisionUser = async (claims) => {
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+
+  let mappedRole = mapClaimsToRole(claims);
+  if (mappedRole && !(await Role.exists({ name: mappedRole }))) {
+    console.warn(`⚠️ OIDC role mapping points to unknown role '${mappedRole}', ignoring`);
+    mappedRole = null;
+  }
+
+  let user = await User.findOne({ oidcIssuer: oidcConfig.issuer, oidcSubject: claims.sub }).select('-password');
+  let created = false;
+  let linked = false;
+
+  if (!user && email && emailVerified) {
+    const existingUser = await User.findOne({ email }).select('-password');
+    if (existingUser) {
+      // Only link when both sides proved ownership of the address
+      if (!existingUser.emailVerified) {
+        return {
+          success: false,
+          message: 'An account with this email exists but its email is not verified. Sign in with your password and verify it first.'
+        };
+      }
+      if (existingUser.oidcSubject) {
+        return {
+          success: false,
+          message: 'An account with this email is already linked to another identity'
+        };
+      }
+
+      existingUser.oidcIssuer = oidcConfig.issuer;
+      existingUser.oidcSubject = claims.sub;
+      user = existingUser;
+      linked = true;
+    }
+  }
+
+  if (!user) {
+    // Provisioned accounts get an unusable random password; they sign in through the provider
+    user = new User({
+      username: await generateUsername(claims),
+      email: email && emailVerified ? email : null,
+      emailVerified: Boolean(email && emailVerified),
+      fullName: claims.name || null,
+      password: await hashPassword(generateRandomToken(32)),
+      role: mappedRole || oidcConfig.defaultRole,
+      oidcIssuer: oidcConfig.issuer,
+      oidcSubject: claims.sub
+    });
+    created = true;
+  } else if (mappedRole && user.role !== mappedRole) {
+    // Keep the role in sync with the provider on every login, but never demote the last active admin
+    if (mappedRole !== 'admin' && await isLastActiveAdmin(user)) {
+      console.warn(`⚠️ OIDC role mapping would demote the last active admin "${user.username}", keeping role admin`);
+    } else {
+      user.role = mappedRole;
+    }
+  }
+
+  if (created || user.isModified()) {
+    await user.save();
+    await invalidateAuthUser(user._id);
+  }
+
+  return { success: true, user, created, linked };
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  consumeAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken,
+  findOrProvisionUser
+};
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Cursor (keyset) pagination: a cursor names the position of one item in a fixed
+// sort order, so pages neither skip nor repeat items when new ones are inserted.
+// sortFields: [{ field, order: 1 | -1, type: 'date' | 'number' | 'string' }]; _id is added as the tie-breaker.
+
+const withIdTieBreaker = (sortFields) => {
+  return [...sortFields, { field: '_id', order: sortFields[0].order, type: 'objectId' }];
+};
+
+const getSortSignature = (fields) => {
+  return fields.map(({ field, order }) => `${field}:${order}`).join(',');
+};
+
+const serializeValue = (value, type) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return type === 'date' ? new Date(value).toISOString() : String(value);
+};
+
+// Values come from the client, so each one is cast to its field's type (never an object)
+const parseValue = (value, type) => {
+  if (value === null) {
+    return { value: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: true };
+  }
+
+  switch (type) {
+    case 'date': {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? { error: true } : { value: date };
+    }
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? { value: number } : { error: true };
+    }
+    case 'objectId':
+      return mongoose.isValidObjectId(value) ? { value: new mongoose.Types.ObjectId(value) } : { error: true };
+    default:
+      return { value };
+  }
+};
+
+// Opaque token pointing after (next) or before (prev) a document
+const encodeCursor = (fields, doc, direction) => {
+  const payload = {
+    s: getSortSignature(fields),
+    d: direction,
+    v: fields.map(({ field, type }) => serializeValue(doc[field], type))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns { direction, values } or { error }
+const decodeCursor = (token, sortFields) => {
+  const fields = withIdTieBreaker(sortFields);
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== fields.length || !['next', 'prev'].includes(payload.d)) {
+    return { error: 'Invalid cursor' };
+  }
+  if (payload.s !== getSortSignature(fields)) {
+    return { error: 'Cursor does not match the requested sort order' };
+  }
+
+  const values = [];
+  for (let i = 0; i < fields.length; i++) {
+    const parsed = parseValue(payload.v[i], fields[i].type);
+    if (parsed.error || (fields[i].type === 'objectId' && parsed.value === null)) {
+      return { error: 'Invalid cursor' };
+    }
+    values.push(parsed.value);
+  }
+
+  return { direction: payload.d, values };
+};
+
+// Condition for "comes strictly after value" in one field. MongoDB sorts null
+// (and missing) before every other value, which range operators don't cover.
+const afterCondition = (field, order, value) => {
+  if (order === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Documents after the cursor position in the given field order (lexicographic over all fields)
+const buildCursorFilter = (fields, values) => {
+  const branches = [];
+  fields.forEach(({ field, order }, index) => {
+    const after = afterCondition(field, order, values[index]);
+    if (!after) {
+      return;
+    }
+    const equalBefore = fields.slice(0, index).map((previous, i) => ({ [previous.field]: values[i] }));
+    branches.push(equalBefore.length > 0 ? { $and: [...equalBefore, after] } : after);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+// Fetch one page. find(cursorFilter, sort, limit) runs the caller's query with the extra
+// condition and must return plain documents containing the sort fields.
+const findCursorPage = async ({ find, sortFields, cursor = null, limit }) => {
+  const fields = withIdTieBreaker(sortFields);
+  const backwards = cursor && cursor.direction === 'prev';
+
+  // Walking backwards means reading the reversed order and flipping the result
+  const queryFields = backwards ? fields.map(field => ({ ...field, order: -field.order })) : fields;
+  const sort = Object.fromEntries(queryFields.map(({ field, order }) => [field, order]));
+  const cursorFilter = cursor ? buildCursorFilter(queryFields, cursor.values) : {};
+
+  // One extra item tells whether there is another page in this direction
+  const docs = await find(cursorFilter, sort, limit + 1);
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) {
+    items.reverse();
+  }
+
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    pagination: {
+      limit,
+      nextCursor: hasNext && items.length > 0 ? encodeCursor(fields, items[items.length - 1], 'next') : null,
+      prevCursor: hasPrev && items.length > 0 ? encodeCursor(fields, items[0], 'prev') : null,
+      hasNext,
+      hasPrev
+    }
+  };
+};
+
+module.exports = {
+  decodeCursor,
+  findCursorPage
+};
@@ -0,0 +1,84 @@
+const User = require('../models/User');
+const { hashToken, generateRandomToken } = require('./tokenService');
+const { setPassword } = require('./passwordService');
+const { revokeApiKeysForUser } = require('./apiKeyService');
+const {
+  sendEmail,
+  generatePasswordResetTemplate,
+  generateAccountInviteTemplate,
+  generateForcedPasswordResetTemplate
+} = require('./emailService');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// Invitations go to people who may not check their mail right away
+const ACCOUNT_INVITE_TTL_HOURS = parseInt(process.env.ACCOUNT_INVITE_TTL_HOURS) || 72;
+
+// Store a fresh single-use reset token on the user and email the reset link.
+// type: 'reset' (user request), 'invite' (new account) or 'forced' (required by an admin)
+const startPasswordReset = async (user, { type = 'reset' } = {}) => {
+  const token = generateRandomToken(32);
+  const ttlMinutes = type === 'invite' ? ACCOUNT_INVITE_TTL_HOURS * 60 : PASSWORD_RESET_TTL_MINUTES;
+
+  await User.findByIdAndUpdate(user._id, {
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  const resetUrl = `${process.env.PASSWORD_RESET_URL || `${baseUrl}/reset-password`}?token=${token}`;
+
+  const emails = {
+    reset: ['🔑 Reset your password', () => generatePasswordResetTemplate(user, resetUrl, token, ttlMinutes)],
+    invite: ['👋 Your account is ready', () => generateAccountInviteTemplate(user, resetUrl, token, ACCOUNT_INVITE_TTL_HOURS)],
+    forced: ['🔑 Password reset required', () => generateForcedPasswordResetTemplate(user, resetUrl, token, ttlMinutes)]
+  };
+  const [subject, buildTemplate] = emails[type];
+
+  // Send in background so response time doesn't reveal whether the account exists
+  sendEmail(user.email, subject, buildTemplate()).catch(error => {
+    console.error('❌ Error sending password reset email:', error);
+  });
+};
+
+// Look up the account a reset token belongs to without using the token up
+const findPasswordResetUser = async (token) => {
+  return User.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('username');
+};
+
+// Consume a reset token and set the new password; returns the user or null
+const completePasswordReset = async (token, newPassword) => {
+  // Clearing the hash in the same update keeps the token single-use
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    {
+      passwordResetTokenHash: null,
+      passwordResetExpires: null
+    }
+  );
+
+  if (!user) {
+    return null;
+  }
+
+  // The reset link reached this mailbox, so the address is proven too
+  const updatedUser = await setPassword(user._id, newPassword, { emailVerified: true });
+
+  // Whoever knew the old password may have created keys; they must not outlive the reset
+  if (updatedUser) {
+    await revokeApiKeysForUser(user._id);
+  }
+
+  return updatedUser;
+};
+
+module.exports = {
+  startPasswordReset,
+  findPasswordResetUser,
+  completePasswordReset
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const { revokeAllForUser } = require('./tokenService');
+const { invalidateAuthUser } = require('./userCacheService');
+
+// Same cost factor everywhere a password is hashed
+const SALT_ROUNDS = 12;
+
+// Minimum length is defined on the User model; config may only raise it
+const [MODEL_MIN_LENGTH] = User.schema.path('password').options.minlength;
+const PASSWORD_MIN_LENGTH = Math.max(MODEL_MIN_LENGTH, parseInt(process.env.PASSWORD_MIN_LENGTH) || 8);
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+
+// Strength policy, configured through environment variables
+const passwordPolicy = {
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER === 'true',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  blockUsername: process.env.PASSWORD_BLOCK_USERNAME !== 'false',
+  blockCommon: process.env.PASSWORD_BLOCK_COMMON !== 'false'
+};
+
+// Read a blocklist file: one password per line, # starts a comment
+const readBlocklist = (filePath) => {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+};
+
+// Bundled list of common/breached passwords plus an optional deployment-specific file.
+// Loaded once at startup so the check never leaves the process.
+const commonPasswords = (() => {
+  if (!passwordPolicy.blockCommon) {
+    return new Set();
+  }
+
+  const entries = readBlocklist(path.join(__dirname, '..', 'config', 'common-passwords.txt'));
+
+  if (process.env.PASSWORD_BLOCKLIST_FILE) {
+    try {
+      entries.push(...readBlocklist(path.resolve(process.env.PASSWORD_BLOCKLIST_FILE)));
+    } catch (error) {
+      console.warn(`⚠️ Could not read PASSWORD_BLOCKLIST_FILE: ${error.message}`);
+    }
+  }
+
+  return new Set(entries);
+})();
+
+// Hash a plain-text password
+const hashPassword = async (password) => {
+  return bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// Check a plain-text password against the policy; returns { valid, errors }.
+// Pass the account's username so passwords built from it can be rejected.
+const validatePassword = (input, { username } = {}) => {
+  const password = typeof input === 'string' ? input : '';
+  const errors = [];
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    errors.push({
+      rule: 'minLength',
+      message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`,
+      min: PASSWORD_MIN_LENGTH
+    });
+  }
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) {
+    errors.push({
+      rule: 'maxLength',
+      message: `Password must be at most ${PASSWORD_MAX_BYTES} bytes long`,
+      max: PASSWORD_MAX_BYTES
+    });
+  }
+
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push({ rule: 'uppercase', message: 'Password must contain an uppercase letter' });
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push({ rule: 'lowercase', message: 'Password must contain a lowercase letter' });
+  }
+  if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push({ rule: 'number', message: 'Password must contain a number' });
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push({ rule: 'symbol', message: 'Password must contain a symbol' });
+  }
+
+  if (passwordPolicy.blockUsername && username && password &&
+      password.toLowerCase().includes(String(username).trim().toLowerCase())) {
+    errors.push({ rule: 'username', message: 'Password must not contain the username' });
+  }
+
+  if (commonPasswords.has(password.toLowerCase())) {
+    errors.push({ rule: 'common', message: 'Password is too common or has appeared in a data breach' });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+// Replace a user's password and invalidate every token issued before the change
+const setPassword = async (userId, newPassword, extraUpdates = {}) => {
+  const hashedPassword = await hashPassword(newPassword);
+
+  const updatedUser = await User.findByIdAndUpdate(
+    userId,
+    {
+      ...extraUpdates,
+      password: hashedPassword,
+      passwordChangedAt: new Date()
+    },
+    { new: true }
+  ).select('-password');
+
+  if (updatedUser) {
+    await revokeAllForUser(userId);
+    await invalidateAuthUser(userId);
+  }
+
+  return updatedUser;
+};
+
+// Compare a plain-text password with a stored hash
+const comparePassword = async (password, hashedPassword) => {
+  return bcrypt.compare(password, hashedPassword);
+};
+
+module.exports = {
+  SALT_ROUNDS,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_BYTES,
+  hashPassword,
+  comparePassword,
+  validatePassword,
+  setPassword
+};
@@ -0,0 +1,154 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+// Built-in roles; their defaults match the original admin/user behaviour
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full user management and export of all posts',
+    permissions: [
+      'post.create',
+      'post.update.own',
+      'post.delete.own',
+      'export.own',
+      'export.all',
+      'user.read',
+      'user.create',
+      'user.update',
+      'user.delete',
+      'user.password.reset',
+      'user.invite',
+      'user.status.write',
+      'user.unlock',
+      'user.role.write',
+      'comment.moderate',
+      'tag.manage',
+      'category.manage',
+      'role.manage'
+    ],
+    isSystem: true
+  },
+  {
+    name: 'user',
+    description: 'Manage own posts',
+    permissions: [
+      'post.create',
+      'post.update.own',
+      'post.delete.own',
+      'export.own'
+    ],
+    isSystem: true
+  }
+];
+
+// role name -> { permissions, expiresAt }
+const roleCache = new Map();
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+
+// Create the built-in roles if they don't exist yet. Existing ones keep their
+// customisations; only defaults introduced since the last start are granted.
+const ensureDefaultRoles = async () => {
+  for (const roleData of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { name: roleData.name },
+      { $setOnInsert: { ...roleData, grantedDefaults: roleData.permissions } },
+      { upsert: true }
+    );
+
+    const role = await Role.findOne({ name: roleData.name }).select('+grantedDefaults');
+    const newDefaults = roleData.permissions.filter(permission => !role.grantedDefaults.includes(permission));
+    if (newDefaults.length > 0) {
+      await Role.updateOne(
+        { _id: role._id },
+        { $addToSet: { permissions: { $each: newDefaults }, grantedDefaults: { $each: newDefaults } } }
+      );
+      console.log(`🔑 Granted new default permissions to role ${role.name}: ${newDefaults.join(', ')}`);
+    }
+  }
+};
+
+// Permissions granted by a role name
+const getRolePermissions = async (roleName) => {
+  const cached = roleCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = role ? role.permissions : [];
+
+  roleCache.set(roleName, { permissions, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return permissions;
+};
+
+// Drop cached permissions after a role is changed
+const invalidateRoleCache = (roleName) => {
+  if (roleName) {
+    roleCache.delete(roleName);
+  } else {
+    roleCache.clear();
+  }
+};
+
+// Whether a user's role grants a permission
+const hasPermission = async (user, permission) => {
+  if (!user) {
+    return false;
+  }
+
+  const permissions = await getRolePermissions(user.role);
+  return permissions.includes(permission);
+};
+
+// Post actions: authors need '<action>.own', everyone else '<action>.any' (action: post.update or post.delete)
+const canManagePost = async (user, post, action) => {
+  const authorId = post.author._id || post.author;
+  const isAuthor = authorId.toString() === user._id.toString();
+  return hasPermission(user, isAuthor ? `${action}.own` : `${action}.any`);
+};
+
+// Role new accounts get; the only one that can be handed out without user.role.write
+const DEFAULT_USER_ROLE = User.schema.path('role').defaultValue;
+
+// Whether a user may give someone a role when creating or inviting them
+const canAssignRole = async (user, roleName) => {
+  return roleName === DEFAULT_USER_ROLE || hasPermission(user, 'user.role.write');
+};
+
+// Whether a role grants something the user's own role doesn't (roles have no levels,
+// so "outranks" means holding a permission the user lacks)
+const roleOutranks = async (roleName, user) => {
+  const [rolePermissions, userPermissions] = await Promise.all([
+    getRolePermissions(roleName),
+    getRolePermissions(user.role)
+  ]);
+  return rolePermissions.some(permission => !userPermissions.includes(permission));
+};
+
+// Whether a user is the only active, non-deleted admin left
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin') {
+    return false;
+  }
+
+  const otherAdmins = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: 'admin',
+    isActive: true,
+    deletionScheduledFor: null
+  });
+  return otherAdmins === 0;
+};
+
+module.exports = {
+  DEFAULT_ROLES,
+  DEFAULT_USER_ROLE,
+  ensureDefaultRoles,
+  getRolePermissions,
+  invalidateRoleCache,
+  hasPermission,
+  canManagePost,
+  canAssignRole,
+  roleOutranks,
+  isLastActiveAdmin
+};
@@ -0,0 +1,120 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const Post = require('../models/Post');
+
+const EXCERPT_LENGTH = 200;
+const WORDS_PER_MINUTE = 200;
+
+// Raw HTML in markdown is escaped rather than passed through; the sanitizer below is the real guard
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+// The only markup rendered content may contain
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'em', 's', 'del', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links in user content shouldn't pass on ranking or the opener
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+// Escape text for HTML; also used by the email templates and search highlights
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Plain text keeps its line breaks: blank lines separate paragraphs
+const renderPlain = (content) => {
+  return content
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+};
+
+// Text of sanitized HTML, for the excerpt and the word count
+const htmlToText = (html) => {
+  return sanitizeHtml(html.replace(/<\/(p|h[1-6]|li|blockquote|pre|tr|td|th)>|<br\s*\/?>/g, ' $&'), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Cut at a word boundary so the excerpt doesn't end mid-word
+const buildExcerpt = (text) => {
+  if (text.length <= EXCERPT_LENGTH) {
+    return text;
+  }
+
+  const cut = text.substring(0, EXCERPT_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > EXCERPT_LENGTH / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+// Render post content to sanitized HTML plus the fields derived from it.
+// The excerpt is text, escaped here so that neither field can carry markup.
+const renderPostContent = (content, contentFormat = 'plain') => {
+  // Same trimming as the schema, so what is rendered matches what is stored
+  const source = String(content).trim();
+  const rawHtml = contentFormat === 'markdown' ? markdown.render(source) : renderPlain(source);
+  const contentHtml = sanitizeHtml(rawHtml, SANITIZE_OPTIONS);
+  const text = htmlToText(contentHtml);
+  const wordCount = text ? text.split(' ').length : 0;
+
+  return {
+    contentHtml,
+    excerptHtml: escapeHtml(buildExcerpt(text)),
+    readingTimeMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+  };
+};
+
+// Render posts from before content rendering existed, or from when the excerpt was stored unescaped
+const backfillRenderedContent = async () => {
+  const posts = await Post.find({ $or: [{ contentHtml: null }, { excerptHtml: null }] }).select('content contentFormat').lean();
+
+  for (const post of posts) {
+    await Post.updateOne(
+      { _id: post._id },
+      { ...renderPostContent(post.content, post.contentFormat), $unset: { excerpt: '' } },
+      { strict: false }
+    );
+  }
+
+  if (posts.length > 0) {
+    console.log(`🖋️ Rendered content for ${posts.length} existing post(s)`);
+  }
+};
+
+module.exports = {
+  escapeHtml,
+  htmlToText,
+  renderPostContent,
+  backfillRenderedContent
+};
@@ -0,0 +1,149 @@
+const Post = require('../models/Post');
+const postEmitter = require('../events/postEvents');
+const cacheStore = require('./cacheStore');
+const { hasPermission } = require('./permissionService');
+
+const POST_PUBLISH_INTERVAL_MS = (parseInt(process.env.POST_PUBLISH_INTERVAL_SECONDS) || 60) * 1000;
+
+// Posts created before statuses existed were public, so they count as published
+const backfillPostStatus = async () => {
+  const result = await Post.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`📰 Marked ${result.modifiedCount} existing post(s) as published`);
+  }
+};
+
+// Work out status and publishAt for a create (current = null) or update request.
+// Returns { error } or { status, publishAt, publishNow } where publishNow means the post goes public now.
+const resolvePublishState = ({ status, publishAt }, current = null) => {
+  let publishDate = current ? current.publishAt : null;
+  if (publishAt !== undefined) {
+    publishDate = publishAt ? new Date(publishAt) : null;
+    if (publishDate && isNaN(publishDate.getTime())) {
+      return { error: 'publishAt must be a valid date' };
+    }
+  }
+
+  const now = new Date();
+  let nextStatus = status;
+  if (!nextStatus) {
+    if (publishAt && publishDate > now) {
+      nextStatus = 'scheduled';
+    } else {
+      nextStatus = current ? current.status : 'published';
+    }
+  }
+
+  const allowedStatuses = current ? Post.STATUSES : Post.STATUSES.filter(value => value !== 'archived');
+  if (!allowedStatuses.includes(nextStatus)) {
+    return { error: `Status must be one of: ${allowedStatuses.join(', ')}` };
+  }
+
+  // An edit that leaves scheduling alone keeps a due scheduled post for the publish job
+  const schedulingRequested = Boolean(status) || publishAt !== undefined;
+  if (nextStatus === 'scheduled' && (!publishDate || (schedulingRequested && publishDate <= now))) {
+    return { error: 'Scheduled posts need a publishAt date in the future' };
+  }
+
+  const publishNow = nextStatus === 'published' && (!current || current.status !== 'published');
+
+  return {
+    status: nextStatus,
+    publishAt: publishNow ? now : publishDate,
+    publishNow
+  };
+};
+
+// Published posts are public; drafts are only visible to their author,
+// scheduled and archived posts also to editors with post.update.any
+const canViewPost = async (user, post) => {
+  if (post.status === 'published') {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+
+  const authorId = post.author._id || post.author;
+  if (authorId.toString() === user._id.toString()) {
+    return true;
+  }
+
+  return post.status !== 'draft' && hasPermission(user, 'post.update.any');
+};
+
+// Fire post:created for a post that just went public (author must be populated)
+const notifyPostPublished = (post) => {
+  postEmitter.emit('post:created', {
+    _id: post._id,
+    title: post.title,
+    excerptHtml: post.excerptHtml,
+    readingTimeMinutes: post.readingTimeMinutes,
+    category: post.category,
+    thumbnail: post.thumbnail,
+    createdAt: post.createdAt,
+    author: post.author
+  });
+};
+
+// Publish every scheduled post whose publishAt has passed
+const publishDuePosts = async () => {
+  const duePosts = await Post.find({ status: 'scheduled', publishAt: { $lte: new Date() } }).select('_id');
+
+  let published = 0;
+  for (const { _id } of duePosts) {
+    try {
+      // The status condition keeps a post from being published twice by parallel runs
+      const previous = await Post.findOneAndUpdate(
+        { _id, status: 'scheduled' },
+        [{ $set: { status: 'published', publishedAt: { $ifNull: ['$publishedAt', '$$NOW'] } } }]
+      );
+      if (!previous) {
+        continue;
+      }
+
+      published++;
+      await cacheStore.del(`post:${_id}`);
+
+      if (!previous.publishedAt) {
+        const post = await Post.findById(_id).populate('author', 'username');
+        notifyPostPublished(post);
+      }
+    } catch (error) {
+      console.error(`❌ Error publishing scheduled post ${_id}:`, error);
+    }
+  }
+
+  if (published > 0) {
+    await cacheStore.delByPrefix('posts:');
+    console.log(`📰 Published ${published} scheduled post(s)`);
+  }
+
+  return published;
+};
+
+// Run the publisher now and then periodically
+const startPostPublishJob = () => {
+  const run = () => {
+    publishDuePosts().catch(error => console.error('❌ Post publish job error:', error));
+  };
+
+  run();
+  const timer = setInterval(run, POST_PUBLISH_INTERVAL_MS);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  backfillPostStatus,
+  resolvePublishState,
+  canViewPost,
+  notifyPostPublished,
+  publishDuePosts,
+  startPostPublishJob
+};
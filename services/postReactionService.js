@@ -0,0 +1,126 @@
+const Post = require('../models/Post');
+const PostLike = require('../models/PostLike');
+const Bookmark = require('../models/Bookmark');
+const cacheStore = require('./cacheStore');
+
+// Insert a document unless it already exists; returns whether it was created
+const insertOnce = async (Model, filter) => {
+  try {
+    const result = await Model.updateOne(filter, { $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // Two parallel upserts of the same pair: the other one won
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const changeLikeCount = async (postId, delta) => {
+  const post = await Post.findByIdAndUpdate(postId, { $inc: { likeCount: delta } }, { new: true }).select('likeCount');
+  // Cached lists are left alone: their like counts are refreshed when read (withLikeCounts)
+  await cacheStore.del(`post:${postId}`);
+  return post ? post.likeCount : 0;
+};
+
+// Like a post; liking twice is a no-op. Returns the current like count.
+const likePost = async (postId, userId) => {
+  const created = await insertOnce(PostLike, { post: postId, user: userId });
+  if (created) {
+    return changeLikeCount(postId, 1);
+  }
+
+  const post = await Post.findById(postId).select('likeCount').lean();
+  return post.likeCount;
+};
+
+// Remove a like; unliking a post that isn't liked is a no-op. Returns the current like count.
+const unlikePost = async (postId, userId) => {
+  const result = await PostLike.deleteOne({ post: postId, user: userId });
+  if (result.deletedCount === 1) {
+    return changeLikeCount(postId, -1);
+  }
+
+  const post = await Post.findById(postId).select('likeCount').lean();
+  return post.likeCount;
+};
+
+const addBookmark = async (postId, userId) => {
+  return insertOnce(Bookmark, { post: postId, user: userId });
+};
+
+const removeBookmark = async (postId, userId) => {
+  const result = await Bookmark.deleteOne({ post: postId, user: userId });
+  return result.deletedCount === 1;
+};
+
+// Add likedByMe to each post (plain objects); anonymous visitors get false everywhere
+const markLikedPosts = async (posts, user) => {
+  const likedIds = user
+    ? new Set((await PostLike.find({ user: user._id, post: { $in: posts.map(post => post._id) } })
+      .select('post')
+      .lean()).map(like => like.post.toString()))
+    : new Set();
+
+  return posts.map(post => ({ ...post, likedByMe: likedIds.has(post._id.toString()) }));
+};
+
+// Current like counts for posts read from a cached list, so likes don't have to clear list caches
+const withLikeCounts = async (posts) => {
+  const counts = new Map((await Post.find({ _id: { $in: posts.map(post => post._id) } })
+    .select('likeCount')
+    .lean()).map(post => [post._id.toString(), post.likeCount]));
+
+  return posts.map(post => ({ ...post, likeCount: counts.get(post._id.toString()) ?? post.likeCount }));
+};
+
+// Remove likes and bookmarks of deleted posts
+const deletePostReactions = async (postIds) => {
+  const ids = [].concat(postIds);
+  await Promise.all([
+    PostLike.deleteMany({ post: { $in: ids } }),
+    Bookmark.deleteMany({ post: { $in: ids } })
+  ]);
+};
+
+// Remove a user's likes and take them off the like counts
+const deleteUserLikes = async (userId) => {
+  const likes = await PostLike.find({ user: userId }).select('post').lean();
+  for (const like of likes) {
+    await PostLike.deleteOne({ _id: like._id });
+    await changeLikeCount(like.post, -1);
+  }
+};
+
+// Move likes and bookmarks to another user; pairs the target already has are dropped
+const transferUserReactions = async (sourceUserId, targetUserId) => {
+  const [likes, bookmarks] = await Promise.all([
+    PostLike.find({ user: sourceUserId }).lean(),
+    Bookmark.find({ user: sourceUserId }).lean()
+  ]);
+
+  for (const like of likes) {
+    await PostLike.deleteOne({ _id: like._id });
+    if (!(await insertOnce(PostLike, { post: like.post, user: targetUserId }))) {
+      await changeLikeCount(like.post, -1);
+    }
+  }
+
+  for (const bookmark of bookmarks) {
+    await Bookmark.deleteOne({ _id: bookmark._id });
+    await insertOnce(Bookmark, { post: bookmark.post, user: targetUserId });
+  }
+};
+
+module.exports = {
+  likePost,
+  unlikePost,
+  addBookmark,
+  removeBookmark,
+  markLikedPosts,
+  withLikeCounts,
+  deletePostReactions,
+  deleteUserLikes,
+  transferUserReactions
+};
@@ -0,0 +1,118 @@
+const { diffLines } = require('diff');
+const PostRevision = require('../models/PostRevision');
+
+// Post fields kept in every revision
+const TRACKED_FIELDS = ['title', 'content', 'contentFormat', 'category'];
+
+const pickTracked = (post) => {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, post[field]]));
+};
+
+const getChangedFields = (before, after) => {
+  return TRACKED_FIELDS.filter(field => before[field] !== after[field]);
+};
+
+// Insert the next revision number, retrying when a concurrent edit took it first
+const insertRevision = async (postId, data) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await PostRevision.findOne({ post: postId }).sort({ revision: -1 }).select('revision').lean();
+    try {
+      return await PostRevision.create({
+        post: postId,
+        revision: (latest ? latest.revision : 0) + 1,
+        ...data
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Record a new post as revision 1
+const recordInitialRevision = async (post, editorId) => {
+  return insertRevision(post._id, {
+    editor: editorId,
+    ...pickTracked(post),
+    changedFields: TRACKED_FIELDS
+  });
+};
+
+// Record an update; returns the revision, or null when no tracked field changed
+const recordRevision = async (before, after, editorId, { restoredFrom = null } = {}) => {
+  const changedFields = getChangedFields(before, after);
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  // Posts created before revisions were recorded get their previous state as revision 1
+  if (!(await PostRevision.exists({ post: before._id }))) {
+    await PostRevision.create({
+      post: before._id,
+      revision: 1,
+      ...pickTracked(before),
+      createdAt: before.updatedAt || before.createdAt
+    }).catch(error => {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    });
+  }
+
+  return insertRevision(after._id, {
+    editor: editorId,
+    ...pickTracked(after),
+    changedFields,
+    restoredFrom
+  });
+};
+
+// Field-by-field differences between two revisions; content is diffed line by line
+const diffRevisions = (from, to) => {
+  const changes = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    const before = from[field] || '';
+    const after = to[field] || '';
+    if (before === after) {
+      return;
+    }
+    // Revisions from before the format was tracked have nothing to compare
+    if (field === 'contentFormat' && from.revision && (!from.contentFormat || !to.contentFormat)) {
+      return;
+    }
+
+    if (field === 'content') {
+      changes.content = diffLines(before, after).map(part => ({
+        type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+        value: part.value
+      }));
+    } else {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  });
+
+  return changes;
+};
+
+// Remove the history of deleted posts
+const deletePostRevisions = async (postIds) => {
+  await PostRevision.deleteMany({ post: { $in: [].concat(postIds) } });
+};
+
+// Credit revisions made by one account to another (account merge)
+const transferRevisionEditor = async (sourceUserId, targetUserId) => {
+  await PostRevision.updateMany({ editor: sourceUserId }, { editor: targetUserId });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  pickTracked,
+  getChangedFields,
+  recordInitialRevision,
+  recordRevision,
+  diffRevisions,
+  deletePostRevisions,
+  transferRevisionEditor
+};
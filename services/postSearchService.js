@@ -0,0 +1,138 @@
+const { escapeHtml } = require('./postContentService');
+
+const SNIPPET_LENGTH = 160;
+const SEARCH_QUERY_MAX_LENGTH = 200;
+
+// Use user input inside a RegExp as plain text
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Lowercase and drop accents, like the text index does when it compares words
+const foldChar = (char) => {
+  return char.normalize('NFD').replace(/\p{M}/gu, '').replace(/đ/g, 'd').replace(/Đ/g, 'D').toLowerCase();
+};
+
+// Split a $text query into what should be highlighted: "exact phrases" and plain terms.
+// Negated terms (-word, -"phrase") only exclude posts and are never highlighted.
+const parseSearchQuery = (q) => {
+  const phrases = [];
+  const terms = [];
+
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(q)) !== null) {
+    if (match[2] !== undefined) {
+      if (!match[1] && match[2].trim()) {
+        phrases.push(match[2].trim());
+      }
+    } else if (!match[3].startsWith('-')) {
+      terms.push(...match[3].split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+    }
+  }
+
+  return { phrases, terms };
+};
+
+// Folded copy of a text plus, for each folded character, its index in the original
+const foldText = (text) => {
+  let folded = '';
+  const positions = [];
+  Array.from(text).reduce((offset, char) => {
+    const foldedChar = foldChar(char);
+    for (let i = 0; i < foldedChar.length; i++) {
+      positions.push(offset);
+    }
+    folded += foldedChar;
+    return offset + char.length;
+  }, 0);
+  positions.push(text.length);
+  return { folded, positions };
+};
+
+// Ranges [start, end) of the original text matching any phrase or term, merged and sorted
+const findMatches = (text, { phrases, terms }) => {
+  const needles = [...phrases, ...terms].map(needle => Array.from(needle).map(foldChar).join('')).filter(Boolean);
+  if (needles.length === 0) {
+    return [];
+  }
+
+  const { folded, positions } = foldText(text);
+  // Longest first so a phrase wins over the single words inside it; terms match at word starts
+  const pattern = new RegExp(
+    needles
+      .sort((a, b) => b.length - a.length)
+      .map(needle => `(?<![\\p{L}\\p{N}])${escapeRegex(needle)}`)
+      .join('|'),
+    'gu'
+  );
+
+  const ranges = [];
+  let match;
+  while ((match = pattern.exec(folded)) !== null) {
+    const start = positions[match.index];
+    const end = positions[match.index + match[0].length];
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+  return ranges;
+};
+
+// Escape a slice of text and wrap the matched ranges in <mark>
+const markRanges = (text, ranges, from = 0, to = text.length) => {
+  let html = '';
+  let cursor = from;
+  for (const [start, end] of ranges) {
+    if (end <= from || start >= to) {
+      continue;
+    }
+    const markStart = Math.max(start, from);
+    const markEnd = Math.min(end, to);
+    html += escapeHtml(text.substring(cursor, markStart));
+    html += `<mark>${escapeHtml(text.substring(markStart, markEnd))}</mark>`;
+    cursor = markEnd;
+  }
+  return html + escapeHtml(text.substring(cursor, to));
+};
+
+// HTML-escaped title and content snippet with the query's words in <mark>
+const buildHighlight = (title, contentText, query) => {
+  const titleRanges = findMatches(title, query);
+  const contentRanges = findMatches(contentText, query);
+
+  let snippet;
+  if (contentText.length <= SNIPPET_LENGTH) {
+    snippet = markRanges(contentText, contentRanges);
+  } else {
+    // Centre the snippet on the first match (or start at the beginning), cutting at spaces
+    const firstMatch = contentRanges.length > 0 ? contentRanges[0][0] : 0;
+    let from = Math.max(0, firstMatch - SNIPPET_LENGTH / 3);
+    let to = Math.min(contentText.length, from + SNIPPET_LENGTH);
+    from = Math.max(0, to - SNIPPET_LENGTH);
+    if (from > 0) {
+      const space = contentText.indexOf(' ', from);
+      from = space !== -1 && space < firstMatch ? space + 1 : from;
+    }
+    if (to < contentText.length) {
+      const space = contentText.lastIndexOf(' ', to);
+      to = space > Math.max(from, contentRanges.length > 0 ? contentRanges[0][1] : from) ? space : to;
+    }
+    snippet = `${from > 0 ? '…' : ''}${markRanges(contentText, contentRanges, from, to)}${to < contentText.length ? '…' : ''}`;
+  }
+
+  return {
+    title: markRanges(title, titleRanges),
+    snippet
+  };
+};
+
+module.exports = {
+  SEARCH_QUERY_MAX_LENGTH,
+  escapeRegex,
+  parseSearchQuery,
+  buildHighlight
+};
@@ -0,0 +1,100 @@
+const Post = require('../models/Post');
+
+const SLUG_MAX_LENGTH = 80;
+
+// "Lập trình Node.js cơ bản" -> "lap-trinh-node-js-co-ban". Accents are dropped so
+// Vietnamese titles give plain ASCII URLs; letters of other scripts are kept as they are.
+const slugify = (title) => {
+  const slug = String(title)
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/, '');
+
+  return slug || 'post';
+};
+
+// Whether a slug was generated from this base ("base" or "base-<n>")
+const isSlugForBase = (slug, base) => {
+  return slug === base || new RegExp(`^${base}-\\d+$`, 'u').test(slug);
+};
+
+// Slug for a title that no other post uses now or used before (old slugs keep redirecting)
+const generateUniqueSlug = async (title, excludePostId = null) => {
+  const base = slugify(title);
+  const pattern = new RegExp(`^${base}(-\\d+)?$`, 'u');
+
+  const posts = await Post.find({
+    ...(excludePostId && { _id: { $ne: excludePostId } }),
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs').lean();
+
+  const taken = new Set(posts.flatMap(post => [post.slug, ...(post.previousSlugs || [])]));
+  if (!taken.has(base)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix++;
+  }
+  return `${base}-${suffix}`;
+};
+
+// Fields to update when a post gets a new title; null when the slug can stay
+const getSlugUpdate = async (post, title) => {
+  if (!title || (post.slug && isSlugForBase(post.slug, slugify(title)))) {
+    return null;
+  }
+
+  const slug = await generateUniqueSlug(title, post._id);
+  const previousSlugs = (post.previousSlugs || []).filter(previousSlug => previousSlug !== slug);
+  if (post.slug) {
+    previousSlugs.push(post.slug);
+  }
+
+  return { slug, previousSlugs };
+};
+
+// Two posts saved with the same title at once can pick the same slug; the unique index
+// rejects the second, so run the operation again to pick the next free one
+const retryOnSlugConflict = async (operation) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.slug || attempt >= 3) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Give posts from before slugs existed a slug
+const backfillPostSlugs = async () => {
+  const posts = await Post.find({ slug: null }).select('title').sort({ createdAt: 1 }).lean();
+
+  for (const post of posts) {
+    await retryOnSlugConflict(async () => {
+      await Post.updateOne({ _id: post._id }, { slug: await generateUniqueSlug(post.title, post._id) });
+    });
+  }
+
+  if (posts.length > 0) {
+    console.log(`🔗 Generated slugs for ${posts.length} existing post(s)`);
+  }
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug,
+  getSlugUpdate,
+  retryOnSlugConflict,
+  backfillPostSlugs
+};
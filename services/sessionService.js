@@ -0,0 +1,124 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const cacheStore = require('./cacheStore');
+
+const SESSION_CACHE_TTL_SECONDS = parseInt(process.env.AUTH_USER_CACHE_TTL_SECONDS) || 60;
+// Write lastSeenAt at most this often per session
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const getCacheKey = (sessionId) => `auth:session:${sessionId}`;
+
+const getClientIp = (req) => {
+  return req ? (req.ip || req.connection.remoteAddress) : null;
+};
+
+// Start a session for a fresh login
+const createSession = async (userId, req, expiresAt) => {
+  return Session.create({
+    user: userId,
+    userAgent: req ? (req.headers['user-agent'] || null) : null,
+    ip: getClientIp(req),
+    lastSeenAt: new Date(),
+    expiresAt
+  });
+};
+
+// Session behind an access token, from cache when possible; null once revoked or expired
+const getActiveSession = async (sessionId) => {
+  let session = await cacheStore.getJSON(getCacheKey(sessionId));
+
+  if (!session) {
+    const storedSession = await Session.findById(sessionId).lean();
+    if (!storedSession) {
+      return null;
+    }
+
+    session = {
+      id: storedSession._id.toString(),
+      user: storedSession.user.toString(),
+      lastSeenAt: storedSession.lastSeenAt,
+      expiresAt: storedSession.expiresAt,
+      revokedAt: storedSession.revokedAt
+    };
+    await cacheStore.setJSON(getCacheKey(sessionId), session, SESSION_CACHE_TTL_SECONDS);
+  }
+
+  if (session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  return session;
+};
+
+// Record activity without writing to the database on every request
+const touchSession = async (session, req) => {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  const lastSeenAt = new Date();
+  const ip = getClientIp(req);
+
+  await cacheStore.setJSON(getCacheKey(session.id), { ...session, lastSeenAt }, SESSION_CACHE_TTL_SECONDS);
+
+  // Track usage without holding up the request
+  Session.updateOne({ _id: session.id, revokedAt: null }, { lastSeenAt, ip })
+    .catch(error => console.error('Session lastSeenAt update error:', error));
+};
+
+// Keep a session alive after its refresh token was rotated
+const extendSession = async (sessionId, req, expiresAt) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { expiresAt, lastSeenAt: new Date(), ip: getClientIp(req) }
+  );
+  await cacheStore.del(getCacheKey(sessionId));
+};
+
+// Revoke matching sessions together with their refresh tokens; returns how many were ended
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  const sessionIds = sessions.map(session => session._id);
+  const revokedAt = new Date();
+
+  await Session.updateMany({ _id: { $in: sessionIds } }, { revokedAt });
+  await RefreshToken.updateMany({ session: { $in: sessionIds }, revokedAt: null }, { revokedAt });
+  await Promise.all(sessionIds.map(sessionId => cacheStore.del(getCacheKey(sessionId))));
+
+  return sessionIds.length;
+};
+
+// End one session of a user
+const revokeSession = async (userId, sessionId) => {
+  return revokeSessions({ _id: sessionId, user: userId });
+};
+
+// End every session of a user
+const revokeAllSessionsForUser = async (userId) => {
+  return revokeSessions({ user: userId });
+};
+
+// Sessions a user is still signed in with, most recently used first
+const getActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
+
+module.exports = {
+  createSession,
+  getActiveSession,
+  touchSession,
+  extendSession,
+  revokeSession,
+  revokeAllSessionsForUser,
+  getActiveSessions
+};
@@ -0,0 +1,86 @@
+const Post = require('../models/Post');
+const cacheStore = require('./cacheStore');
+
+const POST_MAX_TAGS = parseInt(process.env.POST_MAX_TAGS) || 10;
+const TAG_MAX_LENGTH = 30;
+
+// "  Node JS " -> "node-js"; commas separate tags, so they never end up inside one
+const normalizeTag = (tag) => {
+  return String(tag)
+    .normalize('NFC')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+};
+
+// Accepts an array (JSON) or a comma-separated string (multipart form).
+// Returns { tags } with duplicates removed, or { error }.
+const normalizeTags = (input) => {
+  const rawTags = Array.isArray(input) ? input : String(input).split(',');
+  const tags = [...new Set(rawTags
+    .flatMap(tag => String(tag).split(','))
+    .map(normalizeTag)
+    .filter(Boolean))];
+
+  if (tags.length > POST_MAX_TAGS) {
+    return { error: `A post can have at most ${POST_MAX_TAGS} tags` };
+  }
+  const tooLong = tags.find(tag => tag.length > TAG_MAX_LENGTH);
+  if (tooLong) {
+    return { error: `Tag "${tooLong}" is longer than ${TAG_MAX_LENGTH} characters` };
+  }
+
+  return { tags };
+};
+
+// Build the query condition for ?tags=a,b&tagMatch=any|all; returns null when no tags are given
+const buildTagFilter = (tags, tagMatch = 'any') => {
+  const tagList = [...new Set(String(tags).split(',').map(normalizeTag).filter(Boolean))];
+  if (tagList.length === 0) {
+    return null;
+  }
+
+  return tagMatch === 'all' ? { $all: tagList } : { $in: tagList };
+};
+
+// Tags used by published posts, most used first
+const getTagCounts = async (limit) => {
+  const tags = await Post.aggregate([
+    { $match: { status: 'published', tags: { $exists: true, $ne: [] } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return tags.map(tag => ({ name: tag._id, count: tag.count }));
+};
+
+// Rename a tag on every post. Posts that already carry the new name simply lose
+// the old one, so renaming onto an existing tag merges the two.
+const renameTag = async (from, to) => {
+  const posts = await Post.find({ tags: from }).select('_id').lean();
+  if (posts.length === 0) {
+    return { postsUpdated: 0, merged: false };
+  }
+
+  const merged = Boolean(await Post.exists({ tags: to }));
+
+  await Post.updateMany({ tags: from }, { $addToSet: { tags: to } });
+  await Post.updateMany({ tags: from }, { $pull: { tags: from } });
+
+  await cacheStore.delByPrefix('posts:');
+  await Promise.all(posts.map(post => cacheStore.del(`post:${post._id}`)));
+
+  return { postsUpdated: posts.length, merged };
+};
+
+module.exports = {
+  POST_MAX_TAGS,
+  TAG_MAX_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  buildTagFilter,
+  getTagCounts,
+  renameTag
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const {
+  createSession,
+  getActiveSession,
+  extendSession,
+  revokeSession,
+  revokeAllSessionsForUser
+} = require('./sessionService');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Hash opaque tokens before they are stored (only the hash ever hits the database)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random opaque token
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Sign a short-lived access token bound to a session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      username: user.username,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Create and store a refresh token for a session, starting a new family unless one is given
+const issueRefreshToken = async (user, req, sessionId, expiresAt, family = crypto.randomUUID()) => {
+  const refreshToken = generateRandomToken();
+
+  await RefreshToken.create({
+    user: user._id,
+    session: sessionId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt,
+    createdByIp: req ? (req.ip || req.connection.remoteAddress) : null,
+    userAgent: req ? (req.headers['user-agent'] || null) : null
+  });
+
+  return { refreshToken, family };
+};
+
+// Start a session and issue its access/refresh token pair for a freshly authenticated user
+const issueTokenPair = async (user, req) => {
+  const expiresAt = getRefreshTokenExpiry();
+  const session = await createSession(user._id, req, expiresAt);
+
+  const accessToken = generateAccessToken(user, session._id);
+  const { refreshToken } = await issueRefreshToken(user, req, session._id, expiresAt);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Revoke every token in a family and end its session (used on logout and on replay detection)
+const revokeFamily = async (family) => {
+  const familyToken = await RefreshToken.findOne({ family, session: { $ne: null } }).select('user session');
+  if (familyToken) {
+    await revokeSession(familyToken.user, familyToken.session);
+  }
+
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// End every session and revoke every refresh token a user holds
+const revokeAllForUser = async (userId) => {
+  await revokeAllSessionsForUser(userId);
+
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Exchange a refresh token for a new pair, revoking the family if it was replayed
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const storedToken = await RefreshToken.findOne({ tokenHash });
+
+  if (!storedToken) {
+    return { success: false, message: 'Invalid refresh token' };
+  }
+
+  // A token that was already rotated or revoked is being replayed: kill the whole family
+  if (storedToken.revokedAt) {
+    await revokeFamily(storedToken.family);
+    console.warn(`⚠️ Refresh token reuse detected for user ${storedToken.user}, family ${storedToken.family} revoked`);
+    return { success: false, message: 'Refresh token has been revoked' };
+  }
+
+  if (storedToken.expiresAt <= new Date()) {
+    return { success: false, message: 'Refresh token expired' };
+  }
+
+  const user = await User.findById(storedToken.user).select('-password');
+  if (!user || !user.isActive) {
+    await revokeFamily(storedToken.family);
+    return { success: false, message: 'User not found or account is deactivated' };
+  }
+
+  // Tokens from before sessions existed get a session on their first rotation
+  let sessionId = storedToken.session;
+  if (!sessionId) {
+    const session = await createSession(user._id, req, storedToken.expiresAt);
+    sessionId = session._id;
+  } else if (!(await getActiveSession(sessionId))) {
+    await revokeFamily(storedToken.family);
+    return { success: false, message: 'Session has ended' };
+  }
+
+  const expiresAt = getRefreshTokenExpiry();
+  const { refreshToken: newRefreshToken } = await issueRefreshToken(user, req, sessionId, expiresAt, storedToken.family);
+
+  // Mark the old token as used; the revokedAt guard makes concurrent rotations lose the race
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: storedToken._id, revokedAt: null },
+    { revokedAt: new Date(), replacedByHash: hashToken(newRefreshToken) }
+  );
+
+  if (!rotated) {
+    await revokeFamily(storedToken.family);
+    return { success: false, message: 'Refresh token has been revoked' };
+  }
+
+  await extendSession(sessionId, req, expiresAt);
+
+  return {
+    success: true,
+    user,
+    accessToken: generateAccessToken(user, sessionId),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Revoke the family a refresh token belongs to
+const revokeRefreshToken = async (refreshToken) => {
+  const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!storedToken) {
+    return false;
+  }
+
+  await revokeFamily(storedToken.family);
+  return true;
+};
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+  generateAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  revokeAllForUser
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./tokenService');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept one step of clock drift either way
+const TOTP_WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = '2fa_challenge';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Post Management System';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Secrets are encrypted at rest with a key derived from config
+const getEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Generate a new 160-bit base32 secret
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// HOTP (RFC 4226) for a given counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+
+  return String(binary).padStart(TOTP_DIGITS, '0');
+};
+
+const getCurrentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+// Verify a TOTP code; returns the matched time step or null
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalizedCode = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    // A code can only be used once
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI to render as a QR code in the client
+const buildOtpauthUrl = (username, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Generate plain-text backup codes and their hashes
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeBackupCode(code)))
+  };
+};
+
+// Returns the hash of a matching backup code, or null
+const findBackupCode = (hashes, code) => {
+  const codeHash = hashToken(normalizeBackupCode(code));
+  return (hashes || []).includes(codeHash) ? codeHash : null;
+};
+
+// Whether 2FA is mandatory for a user under the current config
+const isTwoFactorRequired = (user) => {
+  return user.role === 'admin' && process.env.TWO_FACTOR_REQUIRED_FOR_ADMIN === 'true';
+};
+
+// Short-lived token proving the password step succeeded
+const generateChallengeToken = (user, setupRequired = false) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      purpose: CHALLENGE_PURPOSE,
+      setupRequired
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+};
+
+// Decode a challenge token; throws on invalid or expired tokens
+const verifyChallengeToken = (challengeToken) => {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
+module.exports = {
+  CHALLENGE_EXPIRES_IN,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateBackupCodes,
+  findBackupCode,
+  isTwoFactorRequired,
+  generateChallengeToken,
+  verifyChallengeToken
+};
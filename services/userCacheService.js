@@ -0,0 +1,32 @@
+const User = require('../models/User');
+const cacheStore = require('./cacheStore');
+
+// Short TTL bounds staleness when running without Redis across several processes
+const AUTH_USER_CACHE_TTL_SECONDS = parseInt(process.env.AUTH_USER_CACHE_TTL_SECONDS) || 60;
+
+const getCacheKey = (userId) => `auth:user:${userId}`;
+
+// Load the user behind a token, from cache when possible
+const getAuthUser = async (userId) => {
+  const cachedUser = await cacheStore.getJSON(getCacheKey(userId));
+  if (cachedUser) {
+    return User.hydrate(cachedUser);
+  }
+
+  const user = await User.findById(userId).select('-password');
+  if (user) {
+    await cacheStore.setJSON(getCacheKey(userId), user.toObject(), AUTH_USER_CACHE_TTL_SECONDS);
+  }
+
+  return user;
+};
+
+// Drop the cached copy after anything verifyToken depends on changes
+const invalidateAuthUser = async (userId) => {
+  await cacheStore.del(getCacheKey(userId));
+};
+
+module.exports = {
+  getAuthUser,
+  invalidateAuthUser
+};
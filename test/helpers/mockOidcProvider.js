@@ -0,0 +1,124 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const base64UrlEncode = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const readBody = (req) => {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(data));
+  });
+};
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Minimal OpenID Connect provider for tests: discovery, JWKS, an authorization endpoint
+// that approves every request for the claims set with setNextLogin(), and a token
+// endpoint that checks client, redirect URI and the PKCE verifier.
+const startMockOidcProvider = async ({ clientId, redirectUri }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+
+  // code -> { codeChallenge, nonce, claims }
+  const codes = new Map();
+  let nextClaims = {};
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, provider.issuer);
+    requests.push(url.pathname);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJSON(res, 200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        jwks_uri: `${provider.issuer}/jwks`
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJSON(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        codeChallenge: params.get('code_challenge'),
+        codeChallengeMethod: params.get('code_challenge_method'),
+        redirectUri: params.get('redirect_uri'),
+        nonce: params.get('nonce'),
+        claims: nextClaims
+      });
+
+      const location = new URL(params.get('redirect_uri'));
+      location.searchParams.set('code', code);
+      location.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: location.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const params = new URLSearchParams(await readBody(req));
+      const grant = codes.get(params.get('code'));
+      codes.delete(params.get('code'));
+
+      const verifierHash = base64UrlEncode(crypto.createHash('sha256').update(params.get('code_verifier') || '').digest());
+      if (
+        !grant ||
+        params.get('grant_type') !== 'authorization_code' ||
+        params.get('client_id') !== clientId ||
+        params.get('redirect_uri') !== redirectUri ||
+        grant.codeChallengeMethod !== 'S256' ||
+        verifierHash !== grant.codeChallenge
+      ) {
+        return sendJSON(res, 400, { error: 'invalid_grant' });
+      }
+
+      const idToken = provider.signIdToken({ ...grant.claims, nonce: grant.nonce });
+      return sendJSON(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+    }
+
+    sendJSON(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const provider = {
+    issuer: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // Claims for the next user who passes the authorization endpoint
+    setNextLogin: (claims) => {
+      nextClaims = claims;
+    },
+    signIdToken: (claims, options = {}) => {
+      return jwt.sign(claims, options.key || privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: provider.issuer,
+        audience: clientId,
+        expiresIn: '5m',
+        ...options.jwt
+      });
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+
+  return provider;
+};
+
+module.exports = {
+  startMockOidcProvider
+};
@@ -0,0 +1,386 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startMockOidcProvider } = require('./helpers/mockOidcProvider');
+
+const CLIENT_ID = 'post-management-test';
+const REDIRECT_URI = 'http://localhost:3000/api/oidc/callback';
+
+let provider;
+let oidcService;
+let oidcController;
+let User;
+let Role;
+
+// In-memory stand-in for the users and roles collections
+let users = [];
+const roles = ['admin', 'user'];
+
+const matches = (doc, query) => Object.entries(query).every(([key, value]) => doc[key] === value);
+
+const installModelMocks = () => {
+  mock.method(User, 'findOne', (query) => {
+    const found = users.find(user => matches(user, query));
+    const result = found ? User.hydrate(found.toObject()) : null;
+    return { select: async () => result };
+  });
+  mock.method(User, 'exists', async (query) => users.some(user => matches(user, query)));
+  mock.method(Role, 'exists', async ({ name }) => roles.includes(name));
+  mock.method(User, 'countDocuments', async (query) => users.filter(user =>
+    String(user._id) !== String(query._id.$ne) && user.role === query.role && user.isActive === query.isActive
+  ).length);
+  mock.method(User.prototype, 'save', async function () {
+    users = users.filter(user => String(user._id) !== String(this._id));
+    users.push(User.hydrate(this.toObject()));
+    return this;
+  });
+};
+
+const addUser = (fields) => {
+  const user = User.hydrate({
+    _id: new (require('mongoose').Types.ObjectId)(),
+    password: 'hash',
+    role: 'user',
+    isActive: true,
+    emailVerified: false,
+    twoFactorEnabled: false,
+    ...fields
+  });
+  users.push(user);
+  return user;
+};
+
+// Walk the browser side of the flow: our redirect, then the provider's redirect back
+const authorize = async (claims) => {
+  provider.setNextLogin(claims);
+  const authorizationUrl = await oidcService.createAuthorizationRequest();
+  const response = await fetch(authorizationUrl, { redirect: 'manual' });
+  const callbackUrl = new URL(response.headers.get('location'));
+  return {
+    authorizationUrl: new URL(authorizationUrl),
+    code: callbackUrl.searchParams.get('code'),
+    state: callbackUrl.searchParams.get('state')
+  };
+};
+
+// Complete a login at the service level and return the verified claims
+const login = async (claims) => {
+  const { code, state } = await authorize(claims);
+  const pending = await oidcService.consumeAuthorizationRequest(state);
+  const tokens = await oidcService.exchangeCode(code, pending.codeVerifier);
+  return oidcService.verifyIdToken(tokens.id_token, pending.nonce);
+};
+
+const createResponse = () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+before(async () => {
+  provider = await startMockOidcProvider({ clientId: CLIENT_ID, redirectUri: REDIRECT_URI });
+
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.OIDC_ISSUER = provider.issuer;
+  process.env.OIDC_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_REDIRECT_URI = REDIRECT_URI;
+  process.env.OIDC_ROLE_CLAIM = 'realm_access.roles';
+  process.env.OIDC_ROLE_MAPPING = 'pms-admins:admin,pms-staff:user,pms-ghosts:ghost';
+
+  User = require('../models/User');
+  Role = require('../models/Role');
+  oidcService = require('../services/oidcService');
+  oidcController = require('../controllers/oidcController');
+});
+
+after(async () => {
+  await provider.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  installModelMocks();
+  users = [];
+});
+
+describe('OIDC discovery', () => {
+  it('builds the authorization URL from the discovered endpoint', async () => {
+    const { authorizationUrl } = await authorize({ sub: 'discovery-user' });
+
+    assert.equal(authorizationUrl.origin + authorizationUrl.pathname, `${provider.issuer}/authorize`);
+    assert.equal(authorizationUrl.searchParams.get('client_id'), CLIENT_ID);
+    assert.equal(authorizationUrl.searchParams.get('redirect_uri'), REDIRECT_URI);
+    assert.equal(authorizationUrl.searchParams.get('response_type'), 'code');
+    assert.ok(provider.requests.includes('/.well-known/openid-configuration'));
+  });
+
+  it('caches the provider metadata', async () => {
+    const before = provider.requests.filter(path => path === '/.well-known/openid-configuration').length;
+    await oidcService.createAuthorizationRequest();
+    const afterCount = provider.requests.filter(path => path === '/.well-known/openid-configuration').length;
+
+    assert.equal(afterCount, before);
+  });
+});
+
+describe('OIDC state and PKCE', () => {
+  it('sends an S256 challenge matching the stored verifier', async () => {
+    const { authorizationUrl, state } = await authorize({ sub: 'pkce-user' });
+    const pending = await oidcService.consumeAuthorizationRequest(state);
+
+    const expectedChallenge = crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url');
+    assert.equal(authorizationUrl.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(authorizationUrl.searchParams.get('code_challenge'), expectedChallenge);
+    assert.equal(authorizationUrl.searchParams.get('nonce'), pending.nonce);
+  });
+
+  it('accepts each state only once', async () => {
+    const { state } = await authorize({ sub: 'state-user' });
+
+    assert.ok(await oidcService.consumeAuthorizationRequest(state));
+    assert.equal(await oidcService.consumeAuthorizationRequest(state), null);
+  });
+
+  it('rejects unknown states', async () => {
+    assert.equal(await oidcService.consumeAuthorizationRequest('not-a-state'), null);
+  });
+
+  it('fails the code exchange with the wrong verifier', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const { code, state } = await authorize({ sub: 'verifier-user' });
+    await oidcService.consumeAuthorizationRequest(state);
+
+    assert.equal(await oidcService.exchangeCode(code, 'wrong-verifier'), null);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('rejects an ID token with a different nonce', async () => {
+    const { code, state } = await authorize({ sub: 'nonce-user' });
+    const pending = await oidcService.consumeAuthorizationRequest(state);
+    const tokens = await oidcService.exchangeCode(code, pending.codeVerifier);
+
+    await assert.rejects(oidcService.verifyIdToken(tokens.id_token, 'other-nonce'), /nonce mismatch/);
+  });
+
+  it('rejects ID tokens not signed by the provider or for another client', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    await assert.rejects(
+      oidcService.verifyIdToken(provider.signIdToken({ sub: 'x', nonce: 'n' }, { key: privateKey }), 'n'),
+      { name: 'JsonWebTokenError' }
+    );
+    await assert.rejects(
+      oidcService.verifyIdToken(provider.signIdToken({ sub: 'x', nonce: 'n' }, { jwt: { audience: 'other-client' } }), 'n'),
+      { name: 'JsonWebTokenError' }
+    );
+  });
+});
+
+describe('OIDC user provisioning', () => {
+  it('creates a user on first login', async () => {
+    const claims = await login({
+      sub: 'new-user',
+      email: 'Jane@Example.com',
+      email_verified: true,
+      preferred_username: 'jane.doe',
+      name: 'Jane Doe'
+    });
+    const result = await oidcService.findOrProvisionUser(claims);
+
+    assert.equal(result.success, true);
+    assert.equal(result.created, true);
+    assert.equal(result.linked, false);
+    assert.equal(result.user.username, 'jane.doe');
+    assert.equal(result.user.email, 'jane@example.com');
+    assert.equal(result.user.emailVerified, true);
+    assert.equal(result.user.role, 'user');
+    assert.equal(result.user.oidcIssuer, provider.issuer);
+    assert.equal(result.user.oidcSubject, 'new-user');
+    assert.equal(users.length, 1);
+  });
+
+  it('finds the same user on the next login', async () => {
+    const claims = { sub: 'returning-user', preferred_username: 'returning' };
+    const first = await oidcService.findOrProvisionUser(await login(claims));
+    const second = await oidcService.findOrProvisionUser(await login(claims));
+
+    assert.equal(second.created, false);
+    assert.equal(String(second.user._id), String(first.user._id));
+    assert.equal(users.length, 1);
+  });
+
+  it('picks a free username when the preferred one is taken', async () => {
+    addUser({ username: 'jane.doe' });
+    const result = await oidcService.findOrProvisionUser(await login({ sub: 'taken-user', preferred_username: 'jane.doe' }));
+
+    assert.match(result.user.username, /^jane\.doe_[0-9a-f]{4}$/);
+  });
+
+  it('does not store an unverified email', async () => {
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'unverified-user',
+      email: 'someone@example.com',
+      email_verified: false
+    }));
+
+    assert.equal(result.created, true);
+    assert.equal(result.user.email, null);
+    assert.equal(result.user.emailVerified, false);
+  });
+});
+
+describe('OIDC account linking', () => {
+  it('links an existing user with the same verified email', async () => {
+    const existing = addUser({ username: 'john', email: 'john@example.com', emailVerified: true });
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'john-subject',
+      email: 'John@example.com',
+      email_verified: true
+    }));
+
+    assert.equal(result.linked, true);
+    assert.equal(result.created, false);
+    assert.equal(String(result.user._id), String(existing._id));
+    assert.equal(users[0].oidcSubject, 'john-subject');
+  });
+
+  it('does not link when the provider has not verified the email', async () => {
+    addUser({ username: 'john', email: 'john@example.com', emailVerified: true });
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'john-unverified',
+      email: 'john@example.com',
+      email_verified: false
+    }));
+
+    assert.equal(result.linked, false);
+    assert.equal(result.created, true);
+    assert.equal(users.length, 2);
+  });
+
+  it('refuses to link when the local email is not verified', async () => {
+    addUser({ username: 'john', email: 'john@example.com', emailVerified: false });
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'john-subject',
+      email: 'john@example.com',
+      email_verified: true
+    }));
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /not verified/);
+  });
+
+  it('refuses to link an account already linked to another identity', async () => {
+    addUser({ username: 'john', email: 'john@example.com', emailVerified: true, oidcIssuer: 'https://other', oidcSubject: 'other' });
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'john-subject',
+      email: 'john@example.com',
+      email_verified: true
+    }));
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /already linked/);
+  });
+});
+
+describe('OIDC role mapping', () => {
+  it('gives new users the mapped role', async () => {
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'admin-user',
+      realm_access: { roles: ['pms-admins'] }
+    }));
+
+    assert.equal(result.user.role, 'admin');
+  });
+
+  it('uses the default role when no mapping matches', async () => {
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'plain-user',
+      realm_access: { roles: ['something-else'] }
+    }));
+
+    assert.equal(result.user.role, 'user');
+  });
+
+  it('ignores mappings to roles that do not exist', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'ghost-user',
+      realm_access: { roles: ['pms-ghosts'] }
+    }));
+
+    assert.equal(result.user.role, 'user');
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('syncs the role of existing users on every login', async () => {
+    addUser({ username: 'staff', role: 'admin', oidcIssuer: provider.issuer, oidcSubject: 'staff-subject' });
+    addUser({ username: 'other-admin', role: 'admin' });
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'staff-subject',
+      realm_access: { roles: ['pms-staff'] }
+    }));
+
+    assert.equal(result.user.role, 'user');
+    assert.equal(users.find(user => user.username === 'staff').role, 'user');
+  });
+
+  it('does not demote the last active admin', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    addUser({ username: 'only-admin', role: 'admin', oidcIssuer: provider.issuer, oidcSubject: 'only-admin-subject' });
+    const result = await oidcService.findOrProvisionUser(await login({
+      sub: 'only-admin-subject',
+      realm_access: { roles: ['pms-staff'] }
+    }));
+
+    assert.equal(result.user.role, 'admin');
+    assert.equal(users[0].role, 'admin');
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('keeps the current role when no mapping matches', async () => {
+    addUser({ username: 'boss', role: 'admin', oidcIssuer: provider.issuer, oidcSubject: 'boss-subject' });
+    const result = await oidcService.findOrProvisionUser(await login({ sub: 'boss-subject' }));
+
+    assert.equal(result.user.role, 'admin');
+  });
+});
+
+describe('OIDC callback', () => {
+  it('sends users with 2FA enabled through the two-factor challenge', async () => {
+    addUser({
+      username: 'secure',
+      email: 'secure@example.com',
+      emailVerified: true,
+      twoFactorEnabled: true
+    });
+    const { code, state } = await authorize({ sub: 'secure-subject', email: 'secure@example.com', email_verified: true });
+
+    const res = createResponse();
+    await oidcController.oidcCallback({ query: { code, state } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.twoFactorRequired, true);
+    assert.equal(res.body.data.setupRequired, false);
+    assert.equal(res.body.data.linked, true);
+    assert.ok(res.body.data.challengeToken);
+    assert.equal(res.body.data.token, undefined);
+  });
+
+  it('rejects a callback whose state was never issued', async () => {
+    const res = createResponse();
+    await oidcController.oidcCallback({ query: { code: 'code', state: 'unknown' } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+  });
+});